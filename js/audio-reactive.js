@@ -0,0 +1,187 @@
+/**
+ * audio-reactive.js - Web Audio analyser input for the viewer
+ * Listens to the microphone or plays an audio file, splits the spectrum into frequency bands
+ * and detects beats; ModelViewer maps the levels to film thickness, boost, lights and rotation
+ */
+
+class AudioReactive extends THREE.EventDispatcher {
+    constructor() {
+        super();
+
+        this.context = null;
+        this.analyser = null;
+        this.data = null;
+        this.source = null;
+        this.stream = null;  // Microphone stream
+        this.audio = null;   // <audio> element playing a file
+        this.objectUrl = null;
+        this.active = false;
+
+        // Frequency bands in Hz, each gets a 0-1 level in this.levels
+        this.bands = {
+            bass: [20, 150],
+            mid: [150, 2000],
+            treble: [2000, 12000]
+        };
+        this.smoothing = 0.8; // Analyser smoothing between frames, 0 reacts instantly, close to 1 is sluggish
+        this.gain = 1.5;      // Sensitivity, band levels are scaled by this before clamping to 0-1
+
+        // A beat is a band level that jumps above its recent average
+        this.beat = {
+            band: 'bass',
+            threshold: 1.35,  // Ratio to the average (about the last half second)
+            minLevel: 0.1,    // Ignore beats in near silence
+            cooldown: 0.25,   // Seconds before the next beat can trigger
+            decay: 6          // How fast levels.beat falls back from 1, per second
+        };
+
+        this.levels = { beat: 0 };
+        this.beatAverage = 0;
+        this.sinceBeat = 0;
+        this.resetLevels();
+    }
+
+    resetLevels() {
+        Object.keys(this.bands).forEach(band => {
+            this.levels[band] = 0;
+        });
+        this.levels.beat = 0;
+        this.beatAverage = 0;
+    }
+
+    /**
+     * Create the audio context on first use, browsers only allow this after a user gesture
+     */
+    setupContext() {
+        if (!this.context) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) {
+                throw new Error('Web Audio is not supported by this browser');
+            }
+
+            this.context = new AudioContext();
+            this.analyser = this.context.createAnalyser();
+            this.analyser.fftSize = 2048;
+            this.data = new Uint8Array(this.analyser.frequencyBinCount);
+        }
+
+        return this.context.resume();
+    }
+
+    /**
+     * Listen to the microphone, which is not played back to avoid feedback
+     * @returns {Promise} Rejected if access is denied
+     */
+    async useMicrophone() {
+        await this.setupContext();
+        this.stop();
+
+        this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        this.source = this.context.createMediaStreamSource(this.stream);
+        this.source.connect(this.analyser);
+        this.active = true;
+    }
+
+    /**
+     * Play an audio file in a loop and react to it
+     * @param {File|string} file - Audio file (e.g. dropped on the viewer) or URL
+     * @returns {Promise} Rejected if the file can't be played
+     */
+    async useFile(file) {
+        await this.setupContext();
+        this.stop();
+
+        if (typeof file !== 'string') {
+            this.objectUrl = URL.createObjectURL(file);
+        }
+        const audio = new Audio(this.objectUrl || file);
+        audio.loop = true;
+        audio.crossOrigin = 'anonymous';
+
+        this.audio = audio;
+        this.source = this.context.createMediaElementSource(audio);
+        this.source.connect(this.analyser);
+        this.source.connect(this.context.destination);
+        this.active = true;
+
+        try {
+            await audio.play();
+        } catch (error) {
+            this.stop();
+            throw error;
+        }
+    }
+
+    /**
+     * Stop listening, the levels fall back to 0
+     */
+    stop() {
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.audio) {
+            this.audio.pause();
+            this.audio = null;
+        }
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+
+        this.active = false;
+        this.resetLevels();
+    }
+
+    /**
+     * Read the analyser and update the band levels and beat envelope, called every frame
+     * @param {number} delta - Seconds since the last frame
+     * @returns {Object} this.levels, one 0-1 entry per band plus `beat`
+     */
+    update(delta) {
+        if (!this.active) {
+            return this.levels;
+        }
+
+        this.analyser.smoothingTimeConstant = this.smoothing;
+        this.analyser.getByteFrequencyData(this.data);
+
+        const binWidth = this.context.sampleRate / this.analyser.fftSize;
+
+        Object.keys(this.bands).forEach(band => {
+            const [low, high] = this.bands[band];
+            const start = Math.max(Math.floor(low / binWidth), 0);
+            const end = Math.min(Math.ceil(high / binWidth), this.data.length);
+            let sum = 0;
+
+            for (let i = start; i < end; i++) {
+                sum += this.data[i];
+            }
+            this.levels[band] = end > start ? Math.min(sum / (end - start) / 255 * this.gain, 1) : 0;
+        });
+
+        this.detectBeat(delta);
+
+        return this.levels;
+    }
+
+    detectBeat(delta) {
+        const beat = this.beat;
+        const level = this.levels[beat.band] || 0;
+
+        this.sinceBeat += delta;
+        this.levels.beat *= Math.exp(-beat.decay * delta);
+
+        if (level > beat.minLevel && level > this.beatAverage * beat.threshold && this.sinceBeat > beat.cooldown) {
+            this.levels.beat = 1;
+            this.sinceBeat = 0;
+            this.dispatchEvent({ type: 'beat', level });
+        }
+
+        this.beatAverage += (level - this.beatAverage) * Math.min(delta * 2, 1);
+    }
+}
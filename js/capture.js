@@ -0,0 +1,263 @@
+/**
+ * capture.js - High resolution stills and turntable recordings of the viewer
+ * Frames are rendered tile by tile with the camera's view offset, so their size is independent of the
+ * window and the GPU limits, and assembled in a 2D canvas; turntables step the scene with a fixed timestep
+ */
+
+class ViewerCapture {
+    /**
+     * @param {ModelViewer} viewer - Viewer to capture
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.busy = false;
+        this.tileSize = 1024;
+        // Every tile is rendered this much larger on each side and cropped, so bloom near a tile edge
+        // still sees its neighbours and no seams show
+        this.tilePadding = 128;
+        this.saved = null;
+    }
+
+    /**
+     * Render a PNG still
+     * @param {Object} [options]
+     * @param {number} [options.width] - Size in pixels, defaults to the canvas size
+     * @param {number} [options.height]
+     * @param {boolean} [options.transparent=false] - Leave out the background, only the model (and its glow) is opaque
+     * @returns {Promise<Blob>} PNG image
+     */
+    async captureStill(options = {}) {
+        const { width, height } = this.getSize(options);
+        const canvas = this.createCanvas(width, height);
+
+        this.begin(options);
+        try {
+            this.renderFrame(canvas.getContext('2d'), width, height);
+        } finally {
+            this.end();
+        }
+
+        return this.toBlob(canvas);
+    }
+
+    /**
+     * Record one full turn of the model, starting at the current animation time
+     * Frames advance the time by exactly 1 / fps, whatever the time it takes to render them. WebM is recorded in real time, so
+     * a frame that takes longer than 1 / fps to render makes the video stutter; lower the size or use PNG frames then
+     * @param {Object} [options]
+     * @param {number} [options.width] - Size in pixels, defaults to the canvas size
+     * @param {number} [options.height]
+     * @param {boolean} [options.transparent=false] - Leave out the background (kept by PNG frames, most WebM encoders drop it)
+     * @param {string} [options.format='webm'] - 'webm' for a MediaRecorder video, 'png' for a zip of numbered PNG frames
+     * @param {number} [options.duration=6] - Seconds per turn
+     * @param {number} [options.fps=30]
+     * @param {number} [options.bitrate=20000000] - WebM bits per second
+     * @param {Function} [options.onProgress] - Called with (frame, frames) after each frame
+     * @returns {Promise<Blob>} WebM video or zip file
+     */
+    async recordTurntable(options = {}) {
+        const { width, height } = this.getSize(options);
+        const format = options.format || 'webm';
+        const fps = options.fps || 30;
+        const frames = Math.max(Math.round((options.duration || 6) * fps), 1);
+        const model = this.viewer.model;
+
+        if (!model) {
+            throw new Error('No model to record');
+        }
+        if (format !== 'webm' && format !== 'png') {
+            throw new Error(`Unsupported turntable format: ${format}`);
+        }
+
+        const canvas = this.createCanvas(width, height);
+        const context = canvas.getContext('2d');
+        const startTime = this.viewer.time;
+        const recorder = format === 'webm' ? this.createRecorder(canvas, fps, options.bitrate || 20000000) : null;
+        const files = {};
+
+        this.begin(options);
+        try {
+            const startRotation = model.rotation.y;
+            const recordStart = performance.now();
+            if (recorder) {
+                recorder.start();
+            }
+
+            for (let frame = 0; frame < frames; frame++) {
+                // Everything else animates on with the timeline, the turn replaces the auto-rotation
+                this.viewer.setTime(startTime + frame / fps);
+                model.rotation.y = startRotation + frame / frames * Math.PI * 2;
+                this.renderFrame(context, width, height);
+
+                if (recorder) {
+                    recorder.track.requestFrame();
+                    // MediaRecorder stamps frames with the wall clock, so hand them over at the video frame rate
+                    await ViewerCapture.wait(recordStart + (frame + 1) * 1000 / fps - performance.now());
+                } else {
+                    const blob = await this.toBlob(canvas);
+                    files[`turntable_${String(frame).padStart(4, '0')}.png`] = new Uint8Array(await blob.arrayBuffer());
+                }
+
+                if (options.onProgress) {
+                    options.onProgress(frame + 1, frames);
+                }
+            }
+        } catch (error) {
+            if (recorder && recorder.state !== 'inactive') {
+                recorder.stop();
+            }
+            throw error;
+        } finally {
+            this.viewer.setTime(startTime);
+            this.end();
+        }
+
+        if (recorder) {
+            return recorder.finish();
+        }
+        // PNGs are compressed already, store them as they are
+        return new Blob([fflate.zipSync(files, { level: 0 })], { type: 'application/zip' });
+    }
+
+    /**
+     * MediaRecorder on a stream that only takes frames when asked for
+     */
+    createRecorder(canvas, fps, bitrate) {
+        if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) {
+            throw new Error('Video recording is not supported by this browser');
+        }
+
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            throw new Error('WebM recording is not supported by this browser');
+        }
+
+        const stream = canvas.captureStream(0);
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate });
+        const chunks = [];
+
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+        recorder.track = stream.getVideoTracks()[0];
+        recorder.finish = () => new Promise(resolve => {
+            recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+            recorder.stop();
+        });
+
+        return recorder;
+    }
+
+    /**
+     * Size the renderer for tiles and take over the frame loop
+     */
+    begin(options) {
+        const { renderer, scene, postProcessing } = this.viewer;
+        const size = this.tileSize + this.tilePadding * 2;
+
+        if (this.busy) {
+            throw new Error('A capture is already running');
+        }
+        this.busy = true;
+        this.viewer.capturing = true;
+
+        this.saved = {
+            background: scene.background,
+            clearAlpha: renderer.getClearAlpha()
+        };
+
+        renderer.setPixelRatio(1);
+        renderer.setSize(size, size, false);
+        postProcessing.setSize(size, size);
+
+        if (options.transparent) {
+            scene.background = null;
+            renderer.setClearAlpha(0);
+        }
+    }
+
+    /**
+     * Put the renderer back to the window size and hand the frame loop back
+     */
+    end() {
+        const { renderer, scene, camera, postProcessing } = this.viewer;
+
+        camera.clearViewOffset();
+        camera.aspect = window.innerWidth / window.innerHeight;
+        camera.updateProjectionMatrix();
+
+        renderer.setPixelRatio(this.viewer.qualityGovernor.getPixelRatio());
+        renderer.setSize(window.innerWidth, window.innerHeight);
+        postProcessing.clearViewOffset();
+        postProcessing.setSize(window.innerWidth, window.innerHeight);
+
+        scene.background = this.saved.background;
+        renderer.setClearAlpha(this.saved.clearAlpha);
+        this.saved = null;
+
+        this.viewer.capturing = false;
+        this.busy = false;
+        this.viewer.requestRender();
+    }
+
+    /**
+     * Render the current scene into a 2D context, one tile at a time
+     * @param {CanvasRenderingContext2D} context - Context of a width x height canvas
+     * @param {number} width
+     * @param {number} height
+     */
+    renderFrame(context, width, height) {
+        const { renderer, camera, postProcessing } = this.viewer;
+        const tile = this.tileSize;
+        const padding = this.tilePadding;
+        const size = tile + padding * 2;
+
+        context.clearRect(0, 0, width, height);
+
+        for (let y = 0; y < height; y += tile) {
+            for (let x = 0; x < width; x += tile) {
+                camera.setViewOffset(width, height, x - padding, y - padding, size, size);
+                postProcessing.setViewOffset(width, height, x - padding, y - padding, size, size);
+                postProcessing.render(this.viewer.time);
+
+                // Copied before the browser presents the canvas, so its drawing buffer is still there
+                const tileWidth = Math.min(tile, width - x);
+                const tileHeight = Math.min(tile, height - y);
+                context.drawImage(renderer.domElement, padding, padding, tileWidth, tileHeight, x, y, tileWidth, tileHeight);
+            }
+        }
+    }
+
+    getSize(options) {
+        const canvasSize = this.viewer.renderer.getDrawingBufferSize(new THREE.Vector2());
+        const width = Math.round(options.width || canvasSize.x);
+        const height = Math.round(options.height || canvasSize.y);
+
+        if (!(width >= 1 && height >= 1 && width <= ViewerCapture.MAX_SIZE && height <= ViewerCapture.MAX_SIZE)) {
+            throw new Error(`Capture size must be between 1 and ${ViewerCapture.MAX_SIZE} pixels, got ${width}x${height}`);
+        }
+
+        return { width, height };
+    }
+
+    createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    toBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the image')), 'image/png');
+        });
+    }
+}
+
+// Browsers refuse larger 2D canvases
+ViewerCapture.MAX_SIZE = 16384;
+
+ViewerCapture.wait = (milliseconds) => new Promise(resolve => setTimeout(resolve, Math.max(milliseconds, 0)));
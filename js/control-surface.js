@@ -0,0 +1,352 @@
+/**
+ * control-surface.js - MIDI and OSC control of the viewer
+ * Binds Web MIDI control changes and OSC messages (relayed over a local WebSocket, e.g. from TouchDesigner)
+ * to viewer parameters, with a learn mode and mappings kept in localStorage
+ */
+
+class ControlSurface extends THREE.EventDispatcher {
+    /**
+     * @param {ModelViewer} viewer - Viewer the controls drive
+     */
+    constructor(viewer) {
+        super();
+
+        this.viewer = viewer;
+        this.midiAccess = null;
+        this.socket = null;
+        this.oscUrl = null;
+        this.reconnectTimeout = null;
+        this.learnTarget = null; // Target the next incoming control is bound to
+
+        // Control source ('midi:<channel>:<cc>' or 'osc:<address>') -> key in ControlSurface.targets
+        this.mappings = this.loadMappings();
+    }
+
+    /**
+     * Listen to control changes from every connected MIDI device, including ones plugged in later
+     * @returns {Promise} Rejected if the browser has no Web MIDI or access is denied
+     */
+    async enableMidi() {
+        if (!navigator.requestMIDIAccess) {
+            throw new Error('Web MIDI is not supported by this browser');
+        }
+
+        if (!this.midiAccess) {
+            this.midiAccess = await navigator.requestMIDIAccess();
+            this.midiAccess.onstatechange = () => this.listenToMidiInputs();
+        }
+        this.listenToMidiInputs();
+    }
+
+    listenToMidiInputs() {
+        this.midiAccess.inputs.forEach(input => {
+            input.onmidimessage = (event) => this.handleMidiMessage(event.data);
+        });
+    }
+
+    handleMidiMessage(data) {
+        // Control change: status 0xBn (n = channel), controller number, 7-bit value
+        if (data.length < 3 || (data[0] & 0xf0) !== 0xb0) {
+            return;
+        }
+
+        const channel = (data[0] & 0x0f) + 1;
+        this.handleControl(`midi:${channel}:${data[1]}`, data[2] / 127);
+    }
+
+    /**
+     * Connect to a WebSocket that relays OSC messages, reconnecting while it is unavailable
+     * Binary messages are OSC packets (messages or bundles), text messages JSON like { "address": "/thickness", "args": [0.5] }
+     * A URL the browser rejects (e.g. 'localhost:8080' without ws://) is reported as a connection event with an error
+     * @param {string} [url] - Bridge URL, defaults to the last one used or ws://localhost:8080
+     */
+    connectOsc(url) {
+        this.disconnectOsc();
+
+        const oscUrl = url || this.loadSetting('oscUrl') || 'ws://localhost:8080';
+        let socket;
+        try {
+            socket = new WebSocket(oscUrl);
+        } catch (error) {
+            // Not saved, so the last working URL stays the default
+            this.dispatchEvent({ type: 'connection', connected: false, url: oscUrl, error });
+            return;
+        }
+
+        this.oscUrl = oscUrl;
+        this.saveSetting('oscUrl', this.oscUrl);
+
+        socket.binaryType = 'arraybuffer';
+
+        socket.onopen = () => {
+            this.dispatchEvent({ type: 'connection', connected: true, url: this.oscUrl });
+        };
+        socket.onmessage = (event) => {
+            try {
+                const messages = typeof event.data === 'string' ? this.parseOscJson(event.data) : this.parseOsc(event.data);
+                messages.forEach(message => this.handleOscMessage(message));
+            } catch (error) {
+                console.warn('Ignoring malformed OSC message:', error);
+            }
+        };
+        socket.onclose = () => {
+            if (this.socket !== socket) {
+                return;
+            }
+            this.socket = null;
+            this.dispatchEvent({ type: 'connection', connected: false, url: this.oscUrl });
+            // The bridge is often started after the viewer, keep trying
+            this.reconnectTimeout = setTimeout(() => this.connectOsc(this.oscUrl), 3000);
+        };
+
+        this.socket = socket;
+    }
+
+    disconnectOsc() {
+        clearTimeout(this.reconnectTimeout);
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+            this.dispatchEvent({ type: 'connection', connected: false, url: this.oscUrl });
+        }
+    }
+
+    handleOscMessage(message) {
+        // The first numeric argument is the value, expected in the 0-1 range
+        const value = message.args.find(arg => typeof arg === 'number' || typeof arg === 'boolean');
+        if (value !== undefined) {
+            this.handleControl(`osc:${message.address}`, Number(value));
+        }
+    }
+
+    /**
+     * Parse an OSC packet
+     * @param {ArrayBuffer} buffer - OSC message or bundle
+     * @returns {{ address: string, args: Array }[]} Messages, bundles are flattened
+     */
+    parseOsc(buffer, offset = 0, length = buffer.byteLength) {
+        const view = new DataView(buffer, offset, length);
+        const bytes = new Uint8Array(buffer, offset, length);
+        let position = 0;
+
+        const readString = () => {
+            let end = position;
+            while (end < bytes.length && bytes[end] !== 0) {
+                end++;
+            }
+            const string = String.fromCharCode(...bytes.subarray(position, end));
+            // Strings are null terminated and padded to a multiple of 4 bytes
+            position = (end + 4) & ~3;
+            return string;
+        };
+
+        const address = readString();
+
+        if (address === '#bundle') {
+            const messages = [];
+            // Skip the time tag, bundle elements are handled as they arrive
+            position += 8;
+            while (position + 4 <= bytes.length) {
+                const size = view.getInt32(position);
+                position += 4;
+                messages.push(...this.parseOsc(buffer, offset + position, size));
+                position += size;
+            }
+            return messages;
+        }
+
+        const args = [];
+        const tags = position < bytes.length ? readString() : ',';
+
+        for (let i = 1; i < tags.length; i++) {
+            switch (tags[i]) {
+                case 'i':
+                    args.push(view.getInt32(position));
+                    position += 4;
+                    break;
+                case 'f':
+                    args.push(view.getFloat32(position));
+                    position += 4;
+                    break;
+                case 'd':
+                    args.push(view.getFloat64(position));
+                    position += 8;
+                    break;
+                case 'h':
+                    args.push(Number(view.getBigInt64(position)));
+                    position += 8;
+                    break;
+                case 's':
+                    args.push(readString());
+                    break;
+                case 'b':
+                    // Blobs are skipped, their size is padded to 4 bytes as well
+                    position += 4 + ((view.getInt32(position) + 3) & ~3);
+                    args.push(null);
+                    break;
+                case 'T':
+                    args.push(true);
+                    break;
+                case 'F':
+                    args.push(false);
+                    break;
+                default:
+                    // N (nil) and I (impulse) carry no data
+                    args.push(null);
+            }
+        }
+
+        return [{ address, args }];
+    }
+
+    parseOscJson(text) {
+        const data = JSON.parse(text);
+        return (Array.isArray(data) ? data : [data])
+            .filter(message => message && typeof message.address === 'string')
+            .map(message => ({ address: message.address, args: Array.isArray(message.args) ? message.args : [message.value] }));
+    }
+
+    /**
+     * Apply a control value to its mapped target, or bind it when learning
+     * @param {string} source - Control source, e.g. 'midi:1:21' or 'osc:/thickness'
+     * @param {number} value - Value in the 0-1 range, clamped
+     */
+    handleControl(source, value) {
+        value = Math.max(0, Math.min(1, value));
+
+        if (this.learnTarget) {
+            this.map(source, this.learnTarget);
+            this.dispatchEvent({ type: 'learn', source, targetName: this.learnTarget });
+            this.learnTarget = null;
+        }
+
+        this.dispatchEvent({ type: 'control', source, value });
+
+        const target = ControlSurface.targets[this.mappings[source]];
+        if (target) {
+            target.apply(this.viewer, value);
+        }
+    }
+
+    /**
+     * Bind the next MIDI control or OSC address that comes in to a target
+     * @param {string|null} target - Key in ControlSurface.targets, null to stop learning
+     */
+    learn(target) {
+        this.learnTarget = target && ControlSurface.targets[target] ? target : null;
+    }
+
+    /**
+     * @param {string} source - Control source, see handleControl
+     * @param {string} target - Key in ControlSurface.targets
+     */
+    map(source, target) {
+        this.mappings[source] = target;
+        this.saveMappings();
+    }
+
+    /**
+     * Remove the bindings of a target, or all of them
+     * @param {string} [target]
+     */
+    clearMappings(target) {
+        Object.keys(this.mappings).forEach(source => {
+            if (!target || this.mappings[source] === target) {
+                delete this.mappings[source];
+            }
+        });
+        this.saveMappings();
+    }
+
+    loadMappings() {
+        const mappings = this.loadSetting('mappings');
+        return mappings && typeof mappings === 'object' ? mappings : {};
+    }
+
+    saveMappings() {
+        this.saveSetting('mappings', this.mappings);
+    }
+
+    // localStorage can be unavailable (private browsing, blocked storage), the controls still work without it
+    loadSetting(name) {
+        try {
+            return JSON.parse(localStorage.getItem(`${ControlSurface.STORAGE_KEY}.${name}`));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveSetting(name, value) {
+        try {
+            localStorage.setItem(`${ControlSurface.STORAGE_KEY}.${name}`, JSON.stringify(value));
+        } catch (error) {
+            console.warn('Could not save control surface settings:', error);
+        }
+    }
+}
+
+ControlSurface.STORAGE_KEY = 'atltvhead-control-surface';
+
+/**
+ * Viewer parameters a control can drive, apply() gets the 0-1 control value
+ */
+ControlSurface.targets = {
+    filmThickness: {
+        label: 'Film Thickness',
+        apply: (viewer, value) => viewer.updateFilmThickness(200 + value * 800)
+    },
+    iridescenceBoost: {
+        label: 'Iridescence Boost',
+        apply: (viewer, value) => viewer.setIridescenceBoost(value * 30)
+    },
+    exposure: {
+        label: 'Exposure',
+        apply: (viewer, value) => viewer.setExposure(0.1 + value * 3.9)
+    },
+    cameraAzimuth: {
+        label: 'Camera Orbit',
+        apply: (viewer, value) => ControlSurface.orbitCamera(viewer, { theta: value * Math.PI * 2 })
+    },
+    cameraElevation: {
+        label: 'Camera Elevation',
+        apply: (viewer, value) => ControlSurface.orbitCamera(viewer, { phi: (1 - value) * Math.PI })
+    },
+    timeScale: {
+        label: 'Animation Speed',
+        apply: (viewer, value) => viewer.setTimeScale(value * 4)
+    },
+    lightingPreset: {
+        label: 'Lighting Preset',
+        apply: (viewer, value) => {
+            // The control range is split evenly between the presets
+            const names = Object.keys(LightingRig.presets);
+            const name = names[Math.min(Math.floor(value * names.length), names.length - 1)];
+            if (name !== viewer.lightingPreset) {
+                viewer.setLightingPreset(name);
+            }
+        }
+    }
+};
+
+/**
+ * Move the camera around the orbit target, keeping its distance
+ * @param {ModelViewer} viewer
+ * @param {{ theta?: number, phi?: number }} angles - Azimuth and polar angle in radians
+ */
+ControlSurface.orbitCamera = (viewer, angles) => {
+    const target = viewer.controls.target;
+    const spherical = new THREE.Spherical().setFromVector3(viewer.camera.position.clone().sub(target));
+
+    if (angles.theta !== undefined) {
+        spherical.theta = angles.theta;
+    }
+    if (angles.phi !== undefined) {
+        spherical.phi = angles.phi;
+    }
+    spherical.makeSafe();
+
+    viewer.camera.position.setFromSpherical(spherical).add(target);
+    viewer.controls.update();
+};
@@ -0,0 +1,347 @@
+/**
+ * ground-stage.js - Optional floor under the model
+ * A shadow catcher for the real-time shadows, soft contact shadows baked from a depth render below the model,
+ * or a mirror floor that reflects the iridescence; sized to the model's bounding box by fit()
+ */
+
+class GroundStage extends THREE.Group {
+    /**
+     * @param {THREE.WebGLRenderer} renderer - Renders the contact shadows and reflections
+     */
+    constructor(renderer) {
+        super();
+
+        this.name = 'ground-stage';
+        this.renderer = renderer;
+        this.mode = 'none'; // Key in GroundStage.modes
+        this.opacity = 0.5;
+        this.model = null;
+        this.animated = false; // The model's parts move (glTF animations), its contact shadow is baked every frame
+
+        // The floor only gets in the way of the glow, see PostProcessing.renderBloom
+        this.userData.excludeFromBloom = true;
+
+        // Contact shadows, rendered again whenever the model has moved since
+        this.contactShadow = {
+            blur: 3.5,      // Blur radius in texels of the 512 x 512 shadow
+            darkness: 1.5,
+            height: 0.5,    // Parts of the model up to this fraction of its height above the floor cast a shadow
+            bakedMatrix: new THREE.Matrix4(),
+            needsBake: true
+        };
+
+        this.shadowCatcher = this.createShadowCatcher();
+        this.contactPlane = this.createContactShadow();
+        this.reflector = null; // Created when first shown, it holds a screen sized render target
+
+        this.add(this.shadowCatcher, this.contactPlane);
+        this.setMode(this.mode);
+    }
+
+    /**
+     * Transparent disc that only shows the shadows falling on it
+     */
+    createShadowCatcher() {
+        const geometry = new THREE.CircleGeometry(1, 64);
+        geometry.rotateX(-Math.PI / 2);
+
+        const mesh = new THREE.Mesh(geometry, new THREE.ShadowMaterial({ opacity: this.opacity }));
+        mesh.receiveShadow = true;
+        return mesh;
+    }
+
+    /**
+     * Plane showing the shadow texture, with the orthographic camera that renders it from below
+     */
+    createContactShadow() {
+        const size = 512;
+        this.shadowTarget = new THREE.WebGLRenderTarget(size, size);
+        this.shadowTarget.texture.generateMipmaps = false;
+        this.blurTarget = new THREE.WebGLRenderTarget(size, size);
+        this.blurTarget.texture.generateMipmaps = false;
+
+        // Facing down for the camera below, flipped by the negative scale set in fit()
+        const geometry = new THREE.PlaneGeometry(1, 1).rotateX(Math.PI / 2);
+        const plane = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            map: this.shadowTarget.texture,
+            opacity: this.opacity,
+            transparent: true,
+            depthWrite: false
+        }));
+        plane.renderOrder = 1;
+        plane.onBeforeRender = (renderer, scene) => this.updateContactShadow(renderer, scene);
+
+        this.blurPlane = new THREE.Mesh(geometry);
+        this.blurPlane.visible = false;
+        this.add(this.blurPlane);
+
+        this.shadowCamera = new THREE.OrthographicCamera(-0.5, 0.5, 0.5, -0.5, 0, 1);
+        this.shadowCamera.rotation.x = Math.PI / 2;
+        this.add(this.shadowCamera);
+
+        // Black with the alpha fading out with the distance from the floor
+        this.depthMaterial = new THREE.MeshDepthMaterial();
+        this.depthMaterial.userData.darkness = { value: this.contactShadow.darkness };
+        this.depthMaterial.onBeforeCompile = (shader) => {
+            shader.uniforms.darkness = this.depthMaterial.userData.darkness;
+            shader.fragmentShader = 'uniform float darkness;\n' + shader.fragmentShader.replace(
+                'gl_FragColor = vec4( vec3( 1.0 - fragCoordZ ), opacity );',
+                'gl_FragColor = vec4( vec3( 0.0 ), ( 1.0 - fragCoordZ ) * darkness );'
+            );
+        };
+        this.depthMaterial.depthTest = false;
+        this.depthMaterial.depthWrite = false;
+
+        this.horizontalBlurMaterial = new THREE.ShaderMaterial(THREE.HorizontalBlurShader);
+        this.horizontalBlurMaterial.depthTest = false;
+        this.verticalBlurMaterial = new THREE.ShaderMaterial(THREE.VerticalBlurShader);
+        this.verticalBlurMaterial.depthTest = false;
+
+        return plane;
+    }
+
+    createReflector() {
+        const geometry = new THREE.CircleGeometry(1, 64);
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        const reflector = new THREE.Reflector(geometry, {
+            color: 0x888888,
+            textureWidth: size.x,
+            textureHeight: size.y,
+            shader: GroundStage.ReflectorShader
+        });
+
+        reflector.rotation.x = -Math.PI / 2;
+        reflector.material.transparent = true;
+        reflector.material.uniforms.opacity.value = this.opacity;
+
+        // The reflection follows the resolution of whatever is rendered, the window or a capture tile
+        const renderReflection = reflector.onBeforeRender;
+        reflector.onBeforeRender = (renderer, scene, camera) => {
+            renderer.getDrawingBufferSize(size);
+            const target = reflector.getRenderTarget();
+            if (target.width !== size.x || target.height !== size.y) {
+                target.setSize(size.x, size.y);
+            }
+            renderReflection(renderer, scene, camera);
+        };
+
+        return reflector;
+    }
+
+    /**
+     * @param {string} mode - Key in GroundStage.modes
+     */
+    setMode(mode) {
+        if (!GroundStage.modes[mode]) {
+            console.warn(`Unknown ground mode "${mode}"`);
+            return;
+        }
+
+        this.mode = mode;
+
+        if (mode === 'reflective' && !this.reflector) {
+            this.reflector = this.createReflector();
+            this.reflector.scale.copy(this.shadowCatcher.scale);
+            this.add(this.reflector);
+        }
+
+        this.visible = mode !== 'none';
+        this.shadowCatcher.visible = mode === 'shadow';
+        this.contactPlane.visible = mode === 'contact';
+        if (this.reflector) {
+            this.reflector.visible = mode === 'reflective';
+        }
+        this.contactShadow.needsBake = true;
+    }
+
+    /**
+     * @param {number} opacity - 0-1, darkness of the shadows or strength of the reflection
+     */
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        this.shadowCatcher.material.opacity = opacity;
+        this.contactPlane.material.opacity = opacity;
+        if (this.reflector) {
+            this.reflector.material.uniforms.opacity.value = opacity;
+        }
+    }
+
+    /**
+     * Put the floor under a model, large enough for it at any turn around its vertical axis
+     * @param {THREE.Object3D|null} model - Model as placed in the scene
+     * @param {boolean} [animated=false] - True if the model has animated parts
+     */
+    fit(model, animated = false) {
+        this.model = model;
+        this.animated = animated;
+        this.contactShadow.needsBake = true;
+
+        if (!model) {
+            return;
+        }
+
+        model.updateWorldMatrix(true, true);
+        const box = new THREE.Box3().setFromObject(model);
+        if (box.isEmpty()) {
+            return;
+        }
+
+        // The model turns around its own origin, the floor is centered there
+        const axis = new THREE.Vector3().setFromMatrixPosition(model.matrixWorld);
+        const radius = Math.max(
+            Math.hypot(box.min.x - axis.x, box.min.z - axis.z),
+            Math.hypot(box.min.x - axis.x, box.max.z - axis.z),
+            Math.hypot(box.max.x - axis.x, box.min.z - axis.z),
+            Math.hypot(box.max.x - axis.x, box.max.z - axis.z)
+        );
+        const height = box.max.y - box.min.y;
+
+        // Just below the lowest point, so the floor never cuts into the model
+        this.position.set(axis.x, box.min.y - height * 0.002, axis.z);
+
+        // Shadows and reflections fall beyond the model itself
+        const floorRadius = radius * 2;
+        this.shadowCatcher.scale.setScalar(floorRadius);
+        if (this.reflector) {
+            this.reflector.scale.setScalar(floorRadius);
+        }
+
+        // Contact shadows stay close to the model
+        const shadowSize = radius * 2.5;
+        this.contactPlane.scale.set(shadowSize, -1, shadowSize);
+        this.blurPlane.scale.set(shadowSize, 1, shadowSize);
+        this.shadowCamera.left = -shadowSize / 2;
+        this.shadowCamera.right = shadowSize / 2;
+        this.shadowCamera.top = shadowSize / 2;
+        this.shadowCamera.bottom = -shadowSize / 2;
+        this.shadowCamera.far = Math.max(height * this.contactShadow.height, 1e-3);
+        this.shadowCamera.updateProjectionMatrix();
+    }
+
+    /**
+     * Render the contact shadow again if the model moved since it was baked, called before the floor is drawn
+     */
+    updateContactShadow(renderer, scene) {
+        const contactShadow = this.contactShadow;
+        if (!this.model || (!contactShadow.needsBake && contactShadow.bakedMatrix.equals(this.model.matrixWorld))) {
+            return;
+        }
+
+        const background = scene.background;
+        const renderTarget = renderer.getRenderTarget();
+        const clearAlpha = renderer.getClearAlpha();
+
+        // The depth of everything above the floor, seen from below
+        this.visible = false;
+        scene.background = null;
+        scene.overrideMaterial = this.depthMaterial;
+        this.depthMaterial.userData.darkness.value = contactShadow.darkness;
+        renderer.setClearAlpha(0);
+        renderer.setRenderTarget(this.shadowTarget);
+        renderer.render(scene, this.shadowCamera);
+        scene.overrideMaterial = null;
+
+        // Twice, the second time finer, for a soft falloff without banding
+        this.blurShadow(renderer, contactShadow.blur);
+        this.blurShadow(renderer, contactShadow.blur * 0.4);
+
+        renderer.setRenderTarget(renderTarget);
+        renderer.setClearAlpha(clearAlpha);
+        scene.background = background;
+        this.visible = true;
+
+        contactShadow.bakedMatrix.copy(this.model.matrixWorld);
+        contactShadow.needsBake = this.animated;
+    }
+
+    blurShadow(renderer, amount) {
+        const blurPlane = this.blurPlane;
+        blurPlane.visible = true;
+
+        blurPlane.material = this.horizontalBlurMaterial;
+        blurPlane.material.uniforms.tDiffuse.value = this.shadowTarget.texture;
+        blurPlane.material.uniforms.h.value = amount / 256;
+        renderer.setRenderTarget(this.blurTarget);
+        renderer.render(blurPlane, this.shadowCamera);
+
+        blurPlane.material = this.verticalBlurMaterial;
+        blurPlane.material.uniforms.tDiffuse.value = this.blurTarget.texture;
+        blurPlane.material.uniforms.v.value = amount / 256;
+        renderer.setRenderTarget(this.shadowTarget);
+        renderer.render(blurPlane, this.shadowCamera);
+
+        blurPlane.visible = false;
+    }
+
+    dispose() {
+        this.shadowCatcher.geometry.dispose();
+        this.shadowCatcher.material.dispose();
+        this.contactPlane.geometry.dispose();
+        this.contactPlane.material.dispose();
+        this.shadowTarget.dispose();
+        this.blurTarget.dispose();
+        this.depthMaterial.dispose();
+        this.horizontalBlurMaterial.dispose();
+        this.verticalBlurMaterial.dispose();
+        if (this.reflector) {
+            this.reflector.geometry.dispose();
+            this.reflector.dispose();
+        }
+    }
+}
+
+GroundStage.modes = {
+    none: { label: 'None' },
+    shadow: { label: 'Shadow catcher' },
+    contact: { label: 'Contact shadows' },
+    reflective: { label: 'Reflective floor' }
+};
+
+/**
+ * THREE.Reflector.ReflectorShader with an opacity that fades out towards the edge of the disc
+ */
+GroundStage.ReflectorShader = {
+    uniforms: {
+        color: { value: null },
+        tDiffuse: { value: null },
+        textureMatrix: { value: null },
+        opacity: { value: 0.5 }
+    },
+
+    vertexShader: `
+        uniform mat4 textureMatrix;
+        varying vec4 vReflectionUv;
+        varying vec2 vUv;
+
+        #include <common>
+        #include <logdepthbuf_pars_vertex>
+
+        void main() {
+            vReflectionUv = textureMatrix * vec4(position, 1.0);
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            #include <logdepthbuf_vertex>
+        }
+    `,
+
+    fragmentShader: `
+        uniform vec3 color;
+        uniform sampler2D tDiffuse;
+        uniform float opacity;
+        varying vec4 vReflectionUv;
+        varying vec2 vUv;
+
+        #include <logdepthbuf_pars_fragment>
+
+        void main() {
+            #include <logdepthbuf_fragment>
+
+            // The reflection is tone mapped already, it only needs encoding for the screen
+            vec3 reflection = texture2DProj(tDiffuse, vReflectionUv).rgb * color;
+            float edge = 1.0 - smoothstep(0.5, 1.0, length(vUv - 0.5) * 2.0);
+
+            gl_FragColor = vec4(reflection, opacity * edge);
+            #include <encodings_fragment>
+        }
+    `
+};
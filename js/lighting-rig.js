@@ -0,0 +1,281 @@
+/**
+ * lighting-rig.js - Lighting presets and light choreography for the viewer's light rig
+ * Cross-fades the lights of ModelViewer.setupLights between the presets in LightingRig.presets
+ * and, in timeline mode, orbits and pulses them, for overlays that keep the model on screen for a long time
+ * The lights are a function of the viewer's animation time, so scrubbing it replays fades and motion
+ */
+
+class LightingRig {
+    /**
+     * @param {Object<string, THREE.Light>} lights - Lights by slot name, as in ModelViewer.lights
+     */
+    constructor(lights) {
+        this.lights = lights;
+        this.base = this.capture(); // Light state without the timeline motion
+        this.fade = null;
+        this.time = 0;
+        this.intensityScale = 1; // Multiplies every intensity, e.g. for audio
+        this.needsApply = false;
+
+        // Timeline mode, lights circle the model in alternating directions and pulse one after another
+        this.timeline = {
+            enabled: false,
+            start: 0,          // Time it was turned on, the lights start from their preset positions
+            orbitSpeed: 0.4,   // Radians per second
+            pulse: 0.35,       // Intensity swing as a fraction of the preset intensity
+            pulseSpeed: 0.5    // Pulses per second
+        };
+    }
+
+    /**
+     * Current color, intensity and (for lights with a direction) position of every slot
+     */
+    capture() {
+        const state = {};
+
+        Object.keys(this.lights).forEach(slot => {
+            const light = this.lights[slot];
+            state[slot] = {
+                color: light.color.clone(),
+                intensity: light.intensity,
+                groundColor: light.groundColor ? light.groundColor.clone() : null,
+                position: light.isDirectionalLight || light.isPointLight || light.isSpotLight ? light.position.clone() : null
+            };
+        });
+
+        return state;
+    }
+
+    /**
+     * Cross-fade to a preset, starting at the current time; slots the preset leaves out keep their current values
+     * @param {Object} preset - Entry of LightingRig.presets
+     * @param {number} [duration=1.5] - Fade time in seconds, 0 switches at once
+     */
+    fadeTo(preset, duration = 1.5) {
+        const to = {};
+
+        Object.keys(this.base).forEach(slot => {
+            const from = this.base[slot];
+            const values = preset.lights[slot] || {};
+
+            to[slot] = {
+                color: values.color !== undefined ? new THREE.Color(values.color) : from.color.clone(),
+                intensity: values.intensity !== undefined ? values.intensity : from.intensity,
+                groundColor: from.groundColor && values.groundColor !== undefined ? new THREE.Color(values.groundColor) : from.groundColor,
+                position: from.position && values.position ? new THREE.Vector3().fromArray(values.position) : from.position
+            };
+        });
+
+        if (duration > 0) {
+            this.fade = { from: this.base, to, start: this.time, duration, progress: 0 };
+        } else {
+            this.fade = null;
+            this.base = to;
+        }
+        this.needsApply = true;
+    }
+
+    /**
+     * Turn the timeline motion on or off
+     * @param {boolean} enabled
+     * @param {Object} [options] - orbitSpeed, pulse and/or pulseSpeed, see the constructor
+     */
+    setTimeline(enabled, options = {}) {
+        if (enabled && !this.timeline.enabled) {
+            this.timeline.start = this.time;
+        }
+        Object.assign(this.timeline, options, { enabled });
+        // Turning it off puts the lights back in their preset positions
+        this.needsApply = true;
+    }
+
+    /**
+     * Scale all light intensities on top of the preset and timeline
+     * @param {number} scale
+     */
+    setIntensityScale(scale) {
+        if (scale !== this.intensityScale) {
+            this.intensityScale = scale;
+            this.needsApply = true;
+        }
+    }
+
+    /**
+     * Put the fade and the timeline at a point in time, called every frame
+     * The last fade is kept, so going back before it shows the previous preset again
+     * @param {number} time - Animation time in seconds
+     */
+    setTime(time) {
+        if (time !== this.time) {
+            this.time = time;
+            this.needsApply = this.needsApply || this.timeline.enabled;
+        }
+
+        if (this.fade) {
+            const fade = this.fade;
+            const t = Math.max(0, Math.min((time - fade.start) / fade.duration, 1));
+
+            if (t !== fade.progress) {
+                fade.progress = t;
+                this.base = this.interpolate(fade.from, fade.to, t * t * (3 - 2 * t));
+                this.needsApply = true;
+            }
+        }
+
+        if (this.needsApply) {
+            this.apply();
+            this.needsApply = false;
+        }
+    }
+
+    /**
+     * @returns {boolean} True while a fade runs or the timeline moves the lights
+     */
+    isAnimating() {
+        return this.timeline.enabled || (this.fade !== null && this.fade.progress < 1);
+    }
+
+    interpolate(from, to, t) {
+        const state = {};
+
+        Object.keys(from).forEach(slot => {
+            const a = from[slot];
+            const b = to[slot];
+            state[slot] = {
+                color: a.color.clone().lerp(b.color, t),
+                intensity: a.intensity + (b.intensity - a.intensity) * t,
+                groundColor: a.groundColor ? a.groundColor.clone().lerp(b.groundColor, t) : null,
+                position: a.position ? a.position.clone().lerp(b.position, t) : null
+            };
+        });
+
+        return state;
+    }
+
+    /**
+     * Write the base state, moved by the timeline if it is running, into the lights
+     */
+    apply() {
+        const slots = Object.keys(this.base);
+        const { enabled, start, orbitSpeed, pulse, pulseSpeed } = this.timeline;
+        const time = Math.max(this.time - start, 0);
+
+        slots.forEach((slot, i) => {
+            const light = this.lights[slot];
+            const state = this.base[slot];
+            let intensity = state.intensity;
+
+            light.color.copy(state.color);
+            if (state.groundColor) {
+                light.groundColor.copy(state.groundColor);
+            }
+
+            // Ambient and hemisphere light stay put, they have no direction to move
+            if (state.position) {
+                light.position.copy(state.position);
+
+                if (enabled) {
+                    light.position.applyAxisAngle(LightingRig.UP, time * orbitSpeed * (i % 2 === 0 ? 1 : -1));
+                    // Phases spread over the slots, so the pulse travels around the rig
+                    const phase = i / slots.length * Math.PI * 2;
+                    intensity *= 1 + pulse * Math.sin(time * pulseSpeed * Math.PI * 2 + phase);
+                }
+            }
+            light.intensity = Math.max(intensity * this.intensityScale, 0);
+        });
+    }
+}
+
+LightingRig.UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Lighting presets for the slots of ModelViewer.setupLights
+ * `studio` holds the StudioEnvironment settings that carry the preset's colors into the reflections
+ */
+LightingRig.presets = {
+    neon: {
+        label: 'Neon',
+        lights: {
+            ambient: { color: '#ffffff', intensity: 0.4 },
+            cyan: { color: '#00ffff', intensity: 1.2, position: [5, 5, 5] },
+            magenta: { color: '#ff00ff', intensity: 0.9, position: [-5, 3, -5] },
+            yellow: { color: '#ffff00', intensity: 0.7, position: [0, -5, -5] },
+            hemisphere: { color: '#8888ff', groundColor: '#ff8844', intensity: 0.3 },
+            accent1: { color: '#ff4488', intensity: 0.8, position: [3, 0, 3] },
+            accent2: { color: '#44ffaa', intensity: 0.6, position: [-3, 2, -3] }
+        },
+        studio: {}
+    },
+    'studio-white': {
+        label: 'Studio white',
+        lights: {
+            ambient: { color: '#ffffff', intensity: 0.5 },
+            cyan: { color: '#ffffff', intensity: 1.6, position: [5, 6, 4] },
+            magenta: { color: '#dde6ff', intensity: 0.6, position: [-5, 3, 2] },
+            yellow: { color: '#ffffff', intensity: 0.8, position: [0, 4, -6] },
+            hemisphere: { color: '#ffffff', groundColor: '#444444', intensity: 0.5 },
+            accent1: { color: '#ffffff', intensity: 0.2, position: [3, 0, 3] },
+            accent2: { color: '#ffffff', intensity: 0.2, position: [-3, 2, -3] }
+        },
+        studio: {
+            dome: { top: '#3a3a40', bottom: '#101012' },
+            floor: { center: '#606064', edge: '#141416', height: 3, radius: 20 },
+            panels: [
+                { color: '#ffffff', intensity: 5, position: [5, 5, 5], width: 4, height: 3 },
+                { color: '#e8eeff', intensity: 2, position: [-5, 3, -5], width: 3, height: 4 },
+                { color: '#ffffff', intensity: 3, position: [0, 8, 0.5], width: 6, height: 6 }
+            ],
+            strips: [
+                { color: '#ffffff', intensity: 6, position: [6, 0, 4], length: 8, width: 0.2 },
+                { color: '#ffffff', intensity: 6, position: [-6, 1, -3], length: 8, width: 0.2 }
+            ]
+        }
+    },
+    sunset: {
+        label: 'Sunset',
+        lights: {
+            ambient: { color: '#ffd8b0', intensity: 0.3 },
+            cyan: { color: '#ff9944', intensity: 1.8, position: [6, 1.5, -3] },
+            magenta: { color: '#6a5acd', intensity: 0.6, position: [-4, 5, 3] },
+            yellow: { color: '#ff5522', intensity: 0.5, position: [0, -4, 2] },
+            hemisphere: { color: '#ffb070', groundColor: '#402030', intensity: 0.4 },
+            accent1: { color: '#ff6633', intensity: 0.6, position: [3, 0, 3] },
+            accent2: { color: '#aa66ff', intensity: 0.3, position: [-3, 2, -3] }
+        },
+        studio: {
+            dome: { top: '#1a2040', bottom: '#1a0c08' },
+            floor: { center: '#3a2010', edge: '#080404', height: 3, radius: 20 },
+            panels: [
+                { color: '#ff8833', intensity: 8, position: [6, 1.5, -3], width: 6, height: 2 },
+                { color: '#6a5acd', intensity: 2, position: [-4, 5, 3], width: 4, height: 4 }
+            ],
+            strips: [
+                { color: '#ff5522', intensity: 6, position: [-6, 0, -2], length: 8, width: 0.2 }
+            ]
+        }
+    },
+    blacklight: {
+        label: 'Blacklight',
+        lights: {
+            ambient: { color: '#2a0066', intensity: 0.2 },
+            cyan: { color: '#7a00ff', intensity: 1.4, position: [5, 5, 5] },
+            magenta: { color: '#ff00cc', intensity: 1.0, position: [-5, 3, -5] },
+            yellow: { color: '#3300ff', intensity: 0.6, position: [0, -5, -5] },
+            hemisphere: { color: '#4400aa', groundColor: '#000000', intensity: 0.2 },
+            accent1: { color: '#aa00ff', intensity: 1.0, position: [3, 0, 3] },
+            accent2: { color: '#00ffcc', intensity: 0.5, position: [-3, 2, -3] }
+        },
+        studio: {
+            dome: { top: '#0a0018', bottom: '#000000' },
+            floor: { center: '#1a0030', edge: '#000000', height: 3, radius: 20 },
+            panels: [
+                { color: '#7a00ff', intensity: 5, position: [5, 5, 5], width: 4, height: 3 },
+                { color: '#ff00cc', intensity: 4, position: [-5, 3, -5], width: 3, height: 4 }
+            ],
+            strips: [
+                { color: '#aa00ff', intensity: 10, position: [6, 0, 4], length: 8, width: 0.2 },
+                { color: '#00ffcc', intensity: 6, position: [-6, 1, -3], length: 8, width: 0.2 }
+            ]
+        }
+    }
+};
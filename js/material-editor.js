@@ -0,0 +1,626 @@
+/**
+ * material-editor.js - Live material editor panel for the 3D viewer
+ * Binds the inputs in #material-editor to ModelViewer settings and
+ * saves/loads the settings as JSON presets
+ */
+
+class MaterialEditor {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.panel = document.getElementById('material-editor');
+        this.inputs = [];
+
+        if (!this.panel) {
+            return;
+        }
+
+        this.setupCoatingOptions();
+        this.setupEnvironmentOptions();
+        this.setupLightingOptions();
+        this.setupGroundOptions();
+        this.setupInputs();
+        this.setupCollapse();
+        this.setupAnimationControls();
+        this.setupAudioButtons();
+        this.setupControlSurface();
+        this.setupPresetButtons();
+        this.setupQualityControls();
+        this.setupCaptureButtons();
+        this.setupExportButton();
+        this.syncFromViewer();
+
+        // Keep the panel in sync with changes made elsewhere (e.g. Shift + Scroll)
+        this.viewer.addEventListener('change', () => this.syncFromViewer());
+    }
+
+    /**
+     * Fill the coating dropdown from the ThinFilmFresnelMap presets
+     */
+    setupCoatingOptions() {
+        const select = this.panel.querySelector('[data-setting="coating"]');
+        if (!select) {
+            return;
+        }
+
+        Object.keys(ThinFilmFresnelMap.presets).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name.replace(/-/g, ' ');
+            select.appendChild(option);
+        });
+
+        const custom = document.createElement('option');
+        custom.value = 'custom';
+        custom.textContent = 'custom';
+        select.appendChild(custom);
+    }
+
+    /**
+     * Fill the environment dropdown from the bundled ModelViewer environments
+     */
+    setupEnvironmentOptions() {
+        const select = this.panel.querySelector('[data-setting="environment"]');
+        if (!select) {
+            return;
+        }
+
+        Object.keys(ModelViewer.environments).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = ModelViewer.environments[name].label;
+            select.appendChild(option);
+        });
+
+        // Shown for dropped .hdr/.exr files, which can't be picked again from the list
+        const custom = document.createElement('option');
+        custom.value = 'custom';
+        custom.textContent = 'dropped file';
+        custom.disabled = true;
+        select.appendChild(custom);
+    }
+
+    /**
+     * Fill the lighting dropdown from the LightingRig presets
+     */
+    setupLightingOptions() {
+        const select = this.panel.querySelector('[data-setting="lightingPreset"]');
+        if (!select) {
+            return;
+        }
+
+        Object.keys(LightingRig.presets).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = LightingRig.presets[name].label;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Fill the ground dropdown from the GroundStage modes
+     */
+    setupGroundOptions() {
+        const select = this.panel.querySelector('[data-setting="ground"]');
+        if (!select) {
+            return;
+        }
+
+        Object.keys(GroundStage.modes).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = GroundStage.modes[name].label;
+            select.appendChild(option);
+        });
+    }
+
+    setupInputs() {
+        this.inputs = Array.from(this.panel.querySelectorAll('[data-setting]'));
+
+        this.inputs.forEach(input => {
+            const setting = input.dataset.setting;
+            // Index and coating changes rebuild the lookup table, so only apply them once the user lets go
+            const rebuilds = setting === 'coating' || setting.startsWith('refractiveIndex');
+
+            input.addEventListener(rebuilds ? 'change' : 'input', () => this.applyInput(input));
+        });
+    }
+
+    /**
+     * Push a single input's value into the viewer
+     * @param {HTMLInputElement|HTMLSelectElement} input - Editor input with a data-setting attribute
+     */
+    applyInput(input) {
+        const setting = input.dataset.setting;
+        let value = input.type === 'range' || input.type === 'number' ? parseFloat(input.value) : input.value;
+        if (input.type === 'checkbox') {
+            value = input.checked;
+        }
+
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            return;
+        }
+
+        switch (setting) {
+            case 'filmThickness':
+                this.viewer.updateFilmThickness(value);
+                break;
+            case 'coating':
+                if (value !== 'custom') {
+                    this.viewer.setCoatingPreset(value);
+                }
+                break;
+            case 'refractiveIndexFilm':
+            case 'refractiveIndexBase':
+                this.viewer.setRefractiveIndices(
+                    parseFloat(this.getInput('refractiveIndexFilm').value),
+                    parseFloat(this.getInput('refractiveIndexBase').value)
+                );
+                break;
+            case 'iridescenceBoost':
+                this.viewer.setIridescenceBoost(value);
+                break;
+            case 'thicknessVariation':
+                this.viewer.setThicknessVariation({ amount: value });
+                break;
+            case 'exposure':
+                this.viewer.setExposure(value);
+                break;
+            case 'environment':
+                this.viewer.setEnvironment(value).catch(() => this.setStatus('Could not load the environment', true));
+                break;
+            case 'environmentBackground':
+                this.viewer.setEnvironmentBackground(value);
+                break;
+            case 'ground':
+                this.viewer.setGround(value);
+                break;
+            case 'groundOpacity':
+                this.viewer.setGround(this.viewer.groundStage.mode, { opacity: value });
+                break;
+            case 'lightingPreset':
+                this.viewer.setLightingPreset(value);
+                break;
+            case 'lightTimeline':
+                this.viewer.setLightTimeline(value);
+                break;
+            case 'timeScale':
+                this.viewer.setTimeScale(value);
+                break;
+            case 'thicknessSweep':
+                this.viewer.setThicknessSweep(value);
+                break;
+            default:
+                if (this.viewer.postProcessing.hasSetting(setting)) {
+                    this.viewer.setPostProcessing(setting, value);
+                } else {
+                    this.viewer.setMaterialSetting(setting, value);
+                }
+        }
+    }
+
+    getInput(setting) {
+        return this.panel.querySelector(`[data-setting="${setting}"]`);
+    }
+
+    /**
+     * Update every input and value label from the viewer's current settings
+     */
+    syncFromViewer() {
+        const settings = this.viewer.getMaterialSettings();
+
+        this.inputs.forEach(input => {
+            let value = settings[input.dataset.setting];
+
+            // Presets may use dispersive indices, show their value at 550nm
+            if (input.dataset.setting.startsWith('refractiveIndex') && typeof value !== 'number') {
+                value = ThinFilmFresnelMap.refractiveIndexAt(value, 550).n;
+            }
+            if (value === undefined || document.activeElement === input) {
+                return;
+            }
+
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = typeof value === 'number' && input.type === 'number' ? value.toFixed(2) : value;
+            }
+        });
+
+        this.panel.querySelectorAll('[data-value-for]').forEach(label => {
+            const value = settings[label.dataset.valueFor];
+            if (typeof value === 'number') {
+                label.textContent = label.dataset.valueFor === 'filmThickness' ? `${Math.round(value)}nm` : value.toFixed(2);
+            }
+        });
+    }
+
+    setupCollapse() {
+        const collapseBtn = document.getElementById('collapse-editor-btn');
+
+        if (collapseBtn) {
+            collapseBtn.addEventListener('click', () => {
+                this.panel.classList.toggle('collapsed');
+                collapseBtn.textContent = this.panel.classList.contains('collapsed') ? '+' : '−';
+            });
+        }
+    }
+
+    setupPresetButtons() {
+        const exportBtn = document.getElementById('export-preset-btn');
+        const importBtn = document.getElementById('import-preset-btn');
+        const importInput = document.getElementById('import-preset-input');
+
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportPreset());
+        }
+
+        if (importBtn && importInput) {
+            importBtn.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', () => {
+                if (importInput.files.length > 0) {
+                    this.importPreset(importInput.files[0]);
+                }
+                // Allow importing the same file twice in a row
+                importInput.value = '';
+            });
+        }
+    }
+
+    /**
+     * Play/pause, restart and time scrubbing for the animation timeline
+     */
+    setupAnimationControls() {
+        const playBtn = document.getElementById('animation-play-btn');
+        const restartBtn = document.getElementById('animation-restart-btn');
+        const timeInput = document.getElementById('animation-time');
+        const timeValue = document.getElementById('animation-time-value');
+        const fixedStepInput = document.getElementById('animation-fixed-step');
+
+        if (!playBtn || !restartBtn || !timeInput || !fixedStepInput) {
+            return;
+        }
+
+        playBtn.addEventListener('click', () => this.viewer.setPlaying(!this.viewer.playing));
+        restartBtn.addEventListener('click', () => this.viewer.setTime(0));
+        timeInput.addEventListener('input', () => this.viewer.setTime(parseFloat(timeInput.value)));
+        fixedStepInput.addEventListener('change', () => {
+            this.viewer.setFixedTimeStep(fixedStepInput.checked ? 1 / 60 : 0);
+        });
+
+        const updateTransport = () => {
+            playBtn.textContent = this.viewer.playing ? 'Pause' : 'Play';
+            fixedStepInput.checked = this.viewer.fixedTimeStep > 0;
+        };
+        updateTransport();
+        this.viewer.addEventListener('change', updateTransport);
+
+        this.viewer.addEventListener('time', (event) => {
+            if (document.activeElement !== timeInput) {
+                // The slider grows a minute at a time as the animation runs on
+                const max = parseFloat(timeInput.max);
+                if (event.time > max) {
+                    timeInput.max = Math.ceil(event.time / 60) * 60;
+                }
+                timeInput.value = event.time;
+            }
+            if (timeValue) {
+                timeValue.textContent = `${event.time.toFixed(2)}s`;
+            }
+        });
+    }
+
+    setupAudioButtons() {
+        const micBtn = document.getElementById('audio-mic-btn');
+        const fileBtn = document.getElementById('audio-file-btn');
+        const fileInput = document.getElementById('audio-file-input');
+        const stopBtn = document.getElementById('audio-stop-btn');
+
+        if (micBtn) {
+            micBtn.addEventListener('click', () => {
+                this.viewer.startAudio('microphone')
+                    .then(() => this.setStatus('Listening to the microphone'))
+                    .catch(error => {
+                        console.error('Failed to open the microphone:', error);
+                        this.setStatus('Could not open the microphone', true);
+                    });
+            });
+        }
+
+        if (fileBtn && fileInput) {
+            fileBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                if (file) {
+                    this.viewer.startAudio(file)
+                        .then(() => this.setStatus(`Playing ${file.name}`))
+                        .catch(error => {
+                            console.error(`Failed to play ${file.name}:`, error);
+                            this.setStatus(`Could not play ${file.name}`, true);
+                        });
+                }
+                fileInput.value = '';
+            });
+        }
+
+        if (stopBtn) {
+            stopBtn.addEventListener('click', () => {
+                this.viewer.stopAudio();
+                this.setStatus('Audio stopped');
+            });
+        }
+    }
+
+    /**
+     * MIDI/OSC connection buttons and the learn mode for the viewer's ControlSurface
+     */
+    setupControlSurface() {
+        const surface = this.viewer.controlSurface;
+        const urlInput = document.getElementById('osc-url');
+        const targetSelect = document.getElementById('control-learn-target');
+        const midiBtn = document.getElementById('midi-enable-btn');
+        const oscBtn = document.getElementById('osc-connect-btn');
+        const learnBtn = document.getElementById('control-learn-btn');
+        const clearBtn = document.getElementById('control-clear-btn');
+
+        if (!surface) {
+            return;
+        }
+
+        if (urlInput) {
+            urlInput.value = surface.loadSetting('oscUrl') || '';
+        }
+
+        if (targetSelect) {
+            Object.keys(ControlSurface.targets).forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = ControlSurface.targets[name].label;
+                targetSelect.appendChild(option);
+            });
+        }
+
+        if (midiBtn) {
+            midiBtn.addEventListener('click', () => {
+                surface.enableMidi()
+                    .then(() => this.setStatus('MIDI enabled'))
+                    .catch(error => {
+                        console.error('Failed to enable MIDI:', error);
+                        this.setStatus('Could not enable MIDI', true);
+                    });
+            });
+        }
+
+        if (oscBtn) {
+            oscBtn.addEventListener('click', () => surface.connectOsc(urlInput && urlInput.value.trim() ? urlInput.value.trim() : undefined));
+        }
+
+        if (learnBtn && targetSelect) {
+            learnBtn.addEventListener('click', () => {
+                surface.learn(targetSelect.value);
+                this.setStatus(`Move a MIDI control or send OSC for ${ControlSurface.targets[targetSelect.value].label}...`);
+            });
+        }
+
+        if (clearBtn && targetSelect) {
+            clearBtn.addEventListener('click', () => {
+                surface.clearMappings(targetSelect.value);
+                this.renderControlMappings();
+            });
+        }
+
+        surface.addEventListener('connection', (event) => {
+            if (event.error) {
+                this.setStatus(`Invalid OSC bridge URL ${event.url}, use e.g. ws://localhost:8080`, true);
+                return;
+            }
+            this.setStatus(event.connected ? `OSC connected to ${event.url}` : `OSC bridge ${event.url} not connected`, !event.connected);
+        });
+        surface.addEventListener('learn', (event) => {
+            this.setStatus(`Bound ${event.source} to ${ControlSurface.targets[event.targetName].label}`);
+            this.renderControlMappings();
+        });
+
+        this.renderControlMappings();
+    }
+
+    /**
+     * List the current control bindings under the learn buttons
+     */
+    renderControlMappings() {
+        const list = document.getElementById('control-mappings');
+        const mappings = this.viewer.controlSurface.mappings;
+
+        if (!list) {
+            return;
+        }
+
+        list.innerHTML = '';
+        Object.keys(mappings).forEach(source => {
+            const target = ControlSurface.targets[mappings[source]];
+            const item = document.createElement('li');
+            item.textContent = `${source} → ${target ? target.label : mappings[source]}`;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Automatic or forced quality tier and the stats overlay
+     */
+    setupQualityControls() {
+        const tierSelect = document.getElementById('quality-tier');
+        const statsInput = document.getElementById('stats-toggle');
+        const governor = this.viewer.qualityGovernor;
+
+        if (!tierSelect || !statsInput) {
+            return;
+        }
+
+        const autoOption = document.createElement('option');
+        autoOption.value = '';
+        tierSelect.appendChild(autoOption);
+        Object.keys(QualityGovernor.tiers).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = QualityGovernor.tiers[name].label;
+            tierSelect.appendChild(option);
+        });
+
+        // The automatic entry shows the tier the governor settled on
+        const updateTier = () => {
+            autoOption.textContent = `Auto (${governor.getTier().label})`;
+            tierSelect.value = governor.forcedTier || '';
+        };
+        updateTier();
+        governor.addEventListener('change', updateTier);
+
+        tierSelect.addEventListener('change', () => governor.setForcedTier(tierSelect.value || null));
+
+        statsInput.checked = governor.statsVisible;
+        statsInput.addEventListener('change', () => governor.setStatsVisible(statsInput.checked));
+    }
+
+    setupCaptureButtons() {
+        const stillBtn = document.getElementById('capture-still-btn');
+        const turntableBtn = document.getElementById('capture-turntable-btn');
+        const formatSelect = document.getElementById('capture-format');
+
+        if (!stillBtn || !turntableBtn || !formatSelect) {
+            return;
+        }
+
+        const getOptions = () => ({
+            width: parseInt(document.getElementById('capture-width').value, 10),
+            height: parseInt(document.getElementById('capture-height').value, 10),
+            transparent: document.getElementById('capture-transparent').checked
+        });
+
+        // One capture at a time, the buttons stay disabled until it is saved
+        const run = (message, capture, fileName) => {
+            stillBtn.disabled = true;
+            turntableBtn.disabled = true;
+            this.setStatus(message);
+
+            capture()
+                .then(blob => {
+                    this.downloadFile(blob, fileName, blob.type);
+                    this.setStatus(`Saved ${fileName}`);
+                })
+                .catch(error => {
+                    console.error('Capture failed:', error);
+                    this.setStatus(`Could not capture: ${error.message}`, true);
+                })
+                .finally(() => {
+                    stillBtn.disabled = false;
+                    turntableBtn.disabled = false;
+                });
+        };
+
+        stillBtn.addEventListener('click', () => {
+            run('Rendering still...', () => this.viewer.captureStill(getOptions()), 'iridescence-still.png');
+        });
+
+        turntableBtn.addEventListener('click', () => {
+            const format = formatSelect.value;
+            const options = Object.assign(getOptions(), {
+                format,
+                onProgress: (frame, frames) => this.setStatus(`Recording turntable: frame ${frame} of ${frames}`)
+            });
+
+            run('Recording turntable...', () => this.viewer.recordTurntable(options),
+                format === 'png' ? 'iridescence-turntable.zip' : 'iridescence-turntable.webm');
+        });
+    }
+
+    setupExportButton() {
+        const exportBtn = document.getElementById('export-model-btn');
+
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportModel());
+        }
+    }
+
+    /**
+     * Download the current settings as a JSON preset
+     */
+    exportPreset() {
+        const preset = {
+            type: 'atltvhead-iridescence-preset',
+            version: 1,
+            settings: this.viewer.getMaterialSettings()
+        };
+
+        this.downloadFile(JSON.stringify(preset, null, 2), 'iridescence-preset.json', 'application/json');
+        this.setStatus('Preset exported');
+    }
+
+    /**
+     * Download the displayed model as OBJ + MTL, using the export options in the panel
+     */
+    exportModel() {
+        const bakeInput = document.getElementById('export-bake-transform');
+        const colorsInput = document.getElementById('export-iridescence-colors');
+        const modelUrl = this.viewer.model && this.viewer.model.name !== 'default-geometry' ? this.viewer.modelUrl : null;
+        const baseName = modelUrl ? modelUrl.split(/[?#]/)[0].split('/').pop().replace(/\.[^.]+$/, '') : 'model';
+
+        const result = this.viewer.exportModel({
+            bakeWorldTransform: !!(bakeInput && bakeInput.checked),
+            iridescenceColors: !!(colorsInput && colorsInput.checked),
+            materialLibrary: `${baseName}.mtl`
+        });
+
+        if (!result) {
+            this.setStatus('No model to export', true);
+            return;
+        }
+
+        this.downloadFile(result.obj, `${baseName}.obj`, 'text/plain');
+        // Browsers drop a second download started in the same moment
+        setTimeout(() => this.downloadFile(result.mtl, `${baseName}.mtl`, 'text/plain'), 500);
+        this.setStatus(`Exported ${baseName}.obj`);
+    }
+
+    /**
+     * Save content through a temporary link
+     * The object URL is revoked later, the download starts asynchronously after the click
+     */
+    downloadFile(content, fileName, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
+    /**
+     * Load a JSON preset file and apply it to the viewer
+     * @param {File} file - Preset file chosen by the user
+     */
+    async importPreset(file) {
+        try {
+            const preset = JSON.parse(await file.text());
+            // Accept both wrapped presets and bare settings objects
+            const settings = preset && preset.settings ? preset.settings : preset;
+
+            if (!settings || typeof settings !== 'object') {
+                throw new Error('Preset does not contain settings');
+            }
+
+            this.viewer.applyMaterialSettings(settings);
+            this.syncFromViewer();
+            this.setStatus(`Loaded ${file.name}`);
+        } catch (error) {
+            console.error('Failed to import preset:', error);
+            this.setStatus(`Could not load ${file.name}`, true);
+        }
+    }
+
+    setStatus(message, isError = false) {
+        const status = document.getElementById('editor-status');
+        if (status) {
+            status.textContent = message;
+            status.classList.toggle('error', isError);
+        }
+    }
+}
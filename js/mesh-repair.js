@@ -0,0 +1,307 @@
+/**
+ * mesh-repair.js - Normal repair for meshes that come without normals
+ * Welds duplicate vertices, makes the triangle winding consistent and computes smooth normals
+ * that keep edges sharper than a crease angle hard, so the iridescence varies smoothly over curved surfaces
+ */
+
+class MeshRepair {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.creaseAngle=40] - Degrees, edges between faces at a sharper angle keep a hard edge
+     * @param {number} [options.weldTolerance=1e-4] - Vertices closer than this fraction of the mesh size are welded
+     */
+    constructor(options = {}) {
+        this.creaseAngle = options.creaseAngle !== undefined ? options.creaseAngle : 40;
+        this.weldTolerance = options.weldTolerance !== undefined ? options.weldTolerance : 1e-4;
+    }
+
+    /**
+     * Repair a triangle mesh
+     * @param {THREE.BufferGeometry} geometry - Indexed or non-indexed triangles, left unchanged
+     * @returns {{ geometry: THREE.BufferGeometry, weldedVertices: number, flippedTriangles: number }}
+     *     An indexed geometry with the same attributes (plus normals) and material groups
+     */
+    repair(geometry) {
+        const source = geometry.index ? geometry.toNonIndexed() : geometry;
+        const position = source.getAttribute('position');
+        const cornerCount = position.count - position.count % 3;
+        const triangleCount = cornerCount / 3;
+
+        const { ids, vertexCount } = this.weld(source);
+        const flipped = this.orient(ids, triangleCount, source);
+
+        // Corner order after fixing the winding, flipped triangles swap their second and third corner
+        const corners = new Uint32Array(cornerCount);
+        for (let t = 0; t < triangleCount; t++) {
+            corners[t * 3] = t * 3;
+            corners[t * 3 + 1] = flipped[t] ? t * 3 + 2 : t * 3 + 1;
+            corners[t * 3 + 2] = flipped[t] ? t * 3 + 1 : t * 3 + 2;
+        }
+
+        const normals = this.computeCreaseNormals(source, ids, corners, vertexCount);
+        const result = this.buildIndexed(source, ids, corners, normals);
+
+        let flippedTriangles = 0;
+        flipped.forEach(value => { flippedTriangles += value; });
+
+        if (source !== geometry) {
+            source.dispose();
+        }
+
+        return {
+            geometry: result,
+            weldedVertices: cornerCount - vertexCount,
+            flippedTriangles
+        };
+    }
+
+    /**
+     * Give corners at the same position (within the tolerance) the same vertex id
+     * @returns {{ ids: Uint32Array, vertexCount: number }}
+     */
+    weld(geometry) {
+        const position = geometry.getAttribute('position');
+        const ids = new Uint32Array(position.count);
+        const lookup = new Map();
+
+        if (!geometry.boundingBox) {
+            geometry.computeBoundingBox();
+        }
+        const size = geometry.boundingBox.getSize(new THREE.Vector3()).length();
+        const cell = Math.max(size * this.weldTolerance, Number.EPSILON);
+
+        for (let i = 0; i < position.count; i++) {
+            const key = `${Math.round(position.getX(i) / cell)},${Math.round(position.getY(i) / cell)},${Math.round(position.getZ(i) / cell)}`;
+            let id = lookup.get(key);
+            if (id === undefined) {
+                id = lookup.size;
+                lookup.set(key, id);
+            }
+            ids[i] = id;
+        }
+
+        return { ids, vertexCount: lookup.size };
+    }
+
+    /**
+     * Flip triangles so neighbours agree on their winding, then turn every connected part outwards:
+     * closed parts by the sign of their volume, open ones towards the winding most of their triangles had
+     * @returns {Uint8Array} 1 for every triangle whose winding has to be reversed
+     */
+    orient(ids, triangleCount, geometry) {
+        const flipped = new Uint8Array(triangleCount);
+        const visited = new Uint8Array(triangleCount);
+        const edges = new Map();
+        const edgeKey = (a, b) => a < b ? `${a}_${b}` : `${b}_${a}`;
+
+        for (let t = 0; t < triangleCount; t++) {
+            for (let k = 0; k < 3; k++) {
+                const key = edgeKey(ids[t * 3 + k], ids[t * 3 + (k + 1) % 3]);
+                const list = edges.get(key);
+                if (list) {
+                    list.push(t);
+                } else {
+                    edges.set(key, [t]);
+                }
+            }
+        }
+
+        // True if triangle t, with its current flip, runs along the edge from a to b
+        const runsAlong = (t, a, b) => {
+            for (let k = 0; k < 3; k++) {
+                const from = ids[t * 3 + k];
+                const to = ids[t * 3 + (k + 1) % 3];
+                if (from === a && to === b) return !flipped[t];
+                if (from === b && to === a) return !!flipped[t];
+            }
+            return false;
+        };
+
+        const position = geometry.getAttribute('position');
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+        const c = new THREE.Vector3();
+
+        for (let start = 0; start < triangleCount; start++) {
+            if (visited[start]) continue;
+
+            const component = [start];
+            let closed = true;
+            visited[start] = 1;
+
+            for (let n = 0; n < component.length; n++) {
+                const t = component[n];
+
+                for (let k = 0; k < 3; k++) {
+                    // The edge as this triangle currently runs along it
+                    let from = ids[t * 3 + k];
+                    let to = ids[t * 3 + (k + 1) % 3];
+                    if (flipped[t]) {
+                        [from, to] = [to, from];
+                    }
+                    if (from === to) continue;
+
+                    const neighbours = edges.get(edgeKey(from, to));
+                    if (neighbours.length !== 2) {
+                        closed = false;
+                    }
+
+                    neighbours.forEach(other => {
+                        if (other === t || visited[other]) return;
+                        // A consistent neighbour runs along the shared edge the other way
+                        if (runsAlong(other, from, to)) {
+                            flipped[other] = 1;
+                        }
+                        visited[other] = 1;
+                        component.push(other);
+                    });
+                }
+            }
+
+            let reverse;
+            if (closed) {
+                let volume = 0;
+                component.forEach(t => {
+                    a.fromBufferAttribute(position, t * 3);
+                    b.fromBufferAttribute(position, t * 3 + (flipped[t] ? 2 : 1));
+                    c.fromBufferAttribute(position, t * 3 + (flipped[t] ? 1 : 2));
+                    volume += a.dot(b.cross(c));
+                });
+                reverse = volume < 0;
+            } else {
+                let flips = 0;
+                component.forEach(t => { flips += flipped[t]; });
+                reverse = flips > component.length / 2;
+            }
+
+            if (reverse) {
+                component.forEach(t => { flipped[t] = flipped[t] ? 0 : 1; });
+            }
+        }
+
+        return flipped;
+    }
+
+    /**
+     * Area weighted vertex normals that only average faces within the crease angle of each other
+     * @returns {Float32Array} Normal per corner
+     */
+    computeCreaseNormals(geometry, ids, corners, vertexCount) {
+        const position = geometry.getAttribute('position');
+        const triangleCount = corners.length / 3;
+        const faceNormals = new Float32Array(triangleCount * 3);
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+        const c = new THREE.Vector3();
+
+        for (let t = 0; t < triangleCount; t++) {
+            a.fromBufferAttribute(position, corners[t * 3]);
+            b.fromBufferAttribute(position, corners[t * 3 + 1]);
+            c.fromBufferAttribute(position, corners[t * 3 + 2]);
+            // Length is twice the area, which weights larger faces more
+            c.sub(b);
+            a.sub(b);
+            c.cross(a).toArray(faceNormals, t * 3);
+        }
+
+        // Triangles around every welded vertex, in compressed rows
+        const offsets = new Uint32Array(vertexCount + 1);
+        for (let i = 0; i < corners.length; i++) {
+            offsets[ids[i] + 1]++;
+        }
+        for (let v = 0; v < vertexCount; v++) {
+            offsets[v + 1] += offsets[v];
+        }
+        const fill = offsets.slice(0, vertexCount);
+        const triangles = new Uint32Array(corners.length);
+        for (let i = 0; i < corners.length; i++) {
+            triangles[fill[ids[i]]++] = Math.floor(i / 3);
+        }
+
+        const threshold = Math.cos(THREE.MathUtils.degToRad(this.creaseAngle));
+        const lengths = new Float32Array(triangleCount);
+        for (let t = 0; t < triangleCount; t++) {
+            lengths[t] = Math.hypot(faceNormals[t * 3], faceNormals[t * 3 + 1], faceNormals[t * 3 + 2]) || 1;
+        }
+        const normals = new Float32Array(corners.length * 3);
+        const normal = new THREE.Vector3();
+
+        for (let i = 0; i < corners.length; i++) {
+            const t = Math.floor(i / 3);
+            const v = ids[corners[i]];
+            normal.set(0, 0, 0);
+
+            for (let n = offsets[v]; n < offsets[v + 1]; n++) {
+                const other = triangles[n];
+                const cosine = (faceNormals[t * 3] * faceNormals[other * 3] +
+                    faceNormals[t * 3 + 1] * faceNormals[other * 3 + 1] +
+                    faceNormals[t * 3 + 2] * faceNormals[other * 3 + 2]) / (lengths[t] * lengths[other]);
+
+                if (other === t || cosine >= threshold) {
+                    normal.x += faceNormals[other * 3];
+                    normal.y += faceNormals[other * 3 + 1];
+                    normal.z += faceNormals[other * 3 + 2];
+                }
+            }
+
+            normal.normalize().toArray(normals, i * 3);
+        }
+
+        return normals;
+    }
+
+    /**
+     * Merge corners that share a welded vertex, normal and every other attribute into an indexed geometry
+     */
+    buildIndexed(geometry, ids, corners, normals) {
+        const names = Object.keys(geometry.attributes).filter(name => name !== 'normal' && name !== 'position');
+        const attributes = names.map(name => geometry.getAttribute(name));
+        const position = geometry.getAttribute('position');
+        const lookup = new Map();
+        const index = new Uint32Array(corners.length);
+        const order = [];
+
+        for (let i = 0; i < corners.length; i++) {
+            const corner = corners[i];
+            let key = `${ids[corner]}|${Math.round(normals[i * 3] * 1e5)},${Math.round(normals[i * 3 + 1] * 1e5)},${Math.round(normals[i * 3 + 2] * 1e5)}`;
+            attributes.forEach(attribute => {
+                for (let k = 0; k < attribute.itemSize; k++) {
+                    key += `|${attribute.array[corner * attribute.itemSize + k]}`;
+                }
+            });
+
+            let vertex = lookup.get(key);
+            if (vertex === undefined) {
+                vertex = order.length;
+                lookup.set(key, vertex);
+                order.push(i);
+            }
+            index[i] = vertex;
+        }
+
+        const result = new THREE.BufferGeometry();
+        const copy = (attribute, from) => {
+            const array = new attribute.array.constructor(order.length * attribute.itemSize);
+            order.forEach((i, vertex) => {
+                for (let k = 0; k < attribute.itemSize; k++) {
+                    array[vertex * attribute.itemSize + k] = from(i, k);
+                }
+            });
+            return new THREE.BufferAttribute(array, attribute.itemSize, attribute.normalized);
+        };
+
+        result.setAttribute('position', copy(position, (i, k) => position.array[corners[i] * 3 + k]));
+        result.setAttribute('normal', copy(position, (i, k) => normals[i * 3 + k]));
+        names.forEach((name, n) => {
+            const attribute = attributes[n];
+            result.setAttribute(name, copy(attribute, (i, k) => attribute.array[corners[i] * attribute.itemSize + k]));
+        });
+
+        result.setIndex(new THREE.BufferAttribute(index, 1));
+        // Corners keep their order, so the material groups still cover the same triangles
+        geometry.groups.forEach(group => result.addGroup(group.start, group.count, group.materialIndex));
+        result.name = geometry.name;
+
+        return result;
+    }
+}
@@ -0,0 +1,230 @@
+/**
+ * obj-exporter.js - Writes the displayed model as Wavefront OBJ + MTL text
+ * Meshes become faces, lines and points become l/p elements, every material a newmtl entry,
+ * so a tuned model can be taken into other tools (TouchDesigner, slicers, ...)
+ */
+
+class OBJExporter {
+    /**
+     * Export an object and its children
+     * @param {THREE.Object3D} object - Model root, e.g. ModelViewer.model
+     * @param {Object} [options]
+     * @param {boolean} [options.bakeWorldTransform=false] - Write positions as displayed in the scene instead of
+     *     relative to the root, which keeps the model's own units and placement
+     * @param {Function} [options.vertexColors] - Called with each mesh/line/points object, returns a flat rgb array with
+     *     a color per vertex, or null to fall back to the geometry's color attribute
+     * @param {string|null} [options.materialLibrary='model.mtl'] - File name for the mtllib statement, null to leave out materials
+     * @returns {{ obj: string, mtl: string }}
+     */
+    parse(object, options = {}) {
+        const settings = Object.assign({ bakeWorldTransform: false, vertexColors: null, materialLibrary: 'model.mtl' }, options);
+        const output = ['# Exported from the atltvhead.github.io 3D viewer'];
+        const offsets = { vertex: 0, uv: 0, normal: 0, object: 0 };
+        const materialNames = new Map();
+
+        if (settings.materialLibrary) {
+            output.push(`mtllib ${settings.materialLibrary}`);
+        }
+
+        object.updateMatrixWorld(true);
+        const rootInverse = settings.bakeWorldTransform ? new THREE.Matrix4() : object.matrixWorld.clone().invert();
+
+        object.traverseVisible((child) => {
+            if ((child.isMesh || child.isLine || child.isPoints) && child.geometry && child.geometry.getAttribute('position')) {
+                const matrix = new THREE.Matrix4().multiplyMatrices(rootInverse, child.matrixWorld);
+                this.writeObject(child, matrix, settings, output, offsets, materialNames);
+            }
+        });
+
+        return {
+            obj: output.join('\n') + '\n',
+            mtl: settings.materialLibrary ? this.writeMaterialLibrary(materialNames) : ''
+        };
+    }
+
+    /**
+     * Append the vertices and elements of one mesh, line or points object
+     */
+    writeObject(child, matrix, settings, output, offsets, materialNames) {
+        const geometry = child.geometry;
+        const position = geometry.getAttribute('position');
+        const normal = child.isMesh ? geometry.getAttribute('normal') : null;
+        const uv = geometry.getAttribute('uv');
+        const colors = (settings.vertexColors && settings.vertexColors(child)) || this.getColorArray(geometry);
+        const normalMatrix = new THREE.Matrix3().getNormalMatrix(matrix);
+        const vector = new THREE.Vector3();
+
+        offsets.object++;
+        output.push(`o ${child.name || `object_${offsets.object}`}`);
+
+        for (let i = 0; i < position.count; i++) {
+            vector.fromBufferAttribute(position, i).applyMatrix4(matrix);
+            let line = `v ${this.formatNumber(vector.x)} ${this.formatNumber(vector.y)} ${this.formatNumber(vector.z)}`;
+
+            if (colors) {
+                line += ` ${this.formatNumber(colors[i * 3])} ${this.formatNumber(colors[i * 3 + 1])} ${this.formatNumber(colors[i * 3 + 2])}`;
+            }
+            output.push(line);
+        }
+
+        if (uv) {
+            for (let i = 0; i < uv.count; i++) {
+                output.push(`vt ${this.formatNumber(uv.getX(i))} ${this.formatNumber(uv.getY(i))}`);
+            }
+        }
+
+        if (normal) {
+            for (let i = 0; i < normal.count; i++) {
+                vector.fromBufferAttribute(normal, i).applyMatrix3(normalMatrix).normalize();
+                output.push(`vn ${this.formatNumber(vector.x)} ${this.formatNumber(vector.y)} ${this.formatNumber(vector.z)}`);
+            }
+        }
+
+        // OBJ indices are 1-based and count across the whole file
+        const index = geometry.index;
+        const elementCount = index ? index.count : position.count;
+        const vertexAt = (j) => index ? index.getX(j) : j;
+        const reference = (j) => {
+            const i = vertexAt(j);
+            const v = offsets.vertex + i + 1;
+            const t = uv ? offsets.uv + i + 1 : '';
+            const n = normal ? offsets.normal + i + 1 : '';
+            return n !== '' ? `${v}/${t}/${n}` : (t !== '' ? `${v}/${t}` : `${v}`);
+        };
+
+        // A mirroring transform turns the faces inside out, swap the winding back
+        const flip = matrix.determinant() < 0;
+        const groups = Array.isArray(child.material) && geometry.groups.length > 0 ?
+            geometry.groups : [{ start: 0, count: elementCount, materialIndex: 0 }];
+
+        groups.forEach((group) => {
+            const material = Array.isArray(child.material) ? child.material[group.materialIndex] : child.material;
+            const end = Math.min(group.start + group.count, elementCount);
+
+            if (settings.materialLibrary && material) {
+                output.push(`usemtl ${this.getMaterialName(material, materialNames)}`);
+            }
+
+            if (child.isMesh) {
+                for (let j = group.start; j + 2 < end; j += 3) {
+                    output.push(flip ?
+                        `f ${reference(j)} ${reference(j + 2)} ${reference(j + 1)}` :
+                        `f ${reference(j)} ${reference(j + 1)} ${reference(j + 2)}`);
+                }
+            } else if (child.isLineSegments) {
+                for (let j = group.start; j + 1 < end; j += 2) {
+                    output.push(`l ${offsets.vertex + vertexAt(j) + 1} ${offsets.vertex + vertexAt(j + 1) + 1}`);
+                }
+            } else {
+                const vertices = [];
+                for (let j = group.start; j < end; j++) {
+                    vertices.push(offsets.vertex + vertexAt(j) + 1);
+                }
+                if (child.isLineLoop && vertices.length > 0) {
+                    vertices.push(vertices[0]);
+                }
+                if (vertices.length > 0) {
+                    output.push(`${child.isPoints ? 'p' : 'l'} ${vertices.join(' ')}`);
+                }
+            }
+        });
+
+        offsets.vertex += position.count;
+        offsets.uv += uv ? uv.count : 0;
+        offsets.normal += normal ? normal.count : 0;
+    }
+
+    /**
+     * @returns {Float32Array|null} The rgb values of the geometry's color attribute
+     */
+    getColorArray(geometry) {
+        const color = geometry.getAttribute('color');
+        if (!color) {
+            return null;
+        }
+
+        const colors = new Float32Array(color.count * 3);
+        for (let i = 0; i < color.count; i++) {
+            colors[i * 3] = color.getX(i);
+            colors[i * 3 + 1] = color.getY(i);
+            colors[i * 3 + 2] = color.getZ(i);
+        }
+        return colors;
+    }
+
+    /**
+     * Unique MTL name for a material, unnamed materials get a generated one
+     */
+    getMaterialName(material, materialNames) {
+        if (!materialNames.has(material)) {
+            const used = new Set(materialNames.values());
+            const base = (material.name || 'material').replace(/\s+/g, '_');
+            let name = base;
+            for (let i = 1; used.has(name); i++) {
+                name = `${base}_${i}`;
+            }
+            materialNames.set(material, name);
+        }
+        return materialNames.get(material);
+    }
+
+    /**
+     * Write the MTL entries for the materials used by the exported objects
+     * Phong materials map to Kd/Ks/Ns, standard materials add the PBR extension (Pr roughness, Pm metalness)
+     * @param {Map<THREE.Material, string>} materialNames - Materials and their MTL names
+     * @returns {string}
+     */
+    writeMaterialLibrary(materialNames) {
+        const output = ['# Exported from the atltvhead.github.io 3D viewer'];
+        const rgb = (color) => `${this.formatNumber(color.r)} ${this.formatNumber(color.g)} ${this.formatNumber(color.b)}`;
+
+        materialNames.forEach((name, material) => {
+            output.push('', `newmtl ${name}`);
+
+            if (material.color) {
+                output.push(`Kd ${rgb(material.color)}`);
+            }
+            if (material.specular) {
+                output.push(`Ks ${rgb(material.specular)}`);
+            }
+            if (material.shininess !== undefined) {
+                output.push(`Ns ${this.formatNumber(material.shininess)}`);
+            }
+            if (material.isMeshStandardMaterial) {
+                output.push(`Pr ${this.formatNumber(material.roughness)}`, `Pm ${this.formatNumber(material.metalness)}`);
+            }
+            if (material.emissive && material.emissive.getHex() !== 0) {
+                output.push(`Ke ${rgb(material.emissive)}`);
+            }
+
+            output.push(`d ${this.formatNumber(material.opacity)}`);
+
+            const maps = { map_Kd: material.map, map_Bump: material.bumpMap || material.normalMap, map_d: material.alphaMap };
+            Object.keys(maps).forEach(keyword => {
+                const fileName = this.getTextureFileName(maps[keyword]);
+                if (fileName) {
+                    output.push(`${keyword} ${fileName}`);
+                }
+            });
+        });
+
+        return output.join('\n') + '\n';
+    }
+
+    /**
+     * File name a texture was loaded from, textures without one (blob URLs of dropped files, generated data) are left out
+     * @returns {string|null}
+     */
+    getTextureFileName(texture) {
+        const src = texture && texture.image && texture.image.src;
+        if (!src || /^(blob|data):/.test(src)) {
+            return texture && texture.name ? texture.name : null;
+        }
+        return decodeURIComponent(src.split(/[?#]/)[0].split('/').pop());
+    }
+
+    formatNumber(value) {
+        // Six decimals, without trailing zeros
+        return String(parseFloat(value.toFixed(6)));
+    }
+}
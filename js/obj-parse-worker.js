@@ -0,0 +1,113 @@
+/**
+ * obj-parse-worker.js - Downloads and parses OBJ files off the main thread
+ * Used by OBJWorkerLoader, downloads are parsed piece by piece as they stream in, posts progress messages
+ * and sends the parsed geometry back as transferable Float32Arrays
+ */
+
+importScripts('../lib/three.min.js', '../lib/OBJLoader.js');
+
+/**
+ * Download a file and parse it while the response streams in, reporting the download progress
+ * @param {string} url - Absolute URL (relative URLs would resolve against the worker script)
+ * @param {Object} parser - Parser from OBJLoader.createParser
+ * @returns {Promise<Object>} The parser state
+ */
+async function downloadAndParse(url, parser) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        const error = new Error(`${response.status} ${response.statusText} loading ${url}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    // Content-Length counts the compressed bytes while the reader yields decoded ones, so it is no total then
+    const total = response.headers.get('Content-Encoding') ? 0 : Number(response.headers.get('Content-Length')) || 0;
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let loaded = 0;
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+
+        loaded += value.byteLength;
+        parser.write(decoder.decode(value, { stream: true }));
+        self.postMessage({ type: 'progress', phase: 'download', loaded, total });
+    }
+
+    parser.write(decoder.decode());
+    return parser.end();
+}
+
+/**
+ * Turn the OBJLoader parser state into plain data that can be posted back
+ * The number arrays become Float32Arrays whose buffers are transferred instead of copied
+ * @param {Object} state - Result of OBJLoader.parseState
+ * @returns {{ data: Object, transfer: ArrayBuffer[] }}
+ */
+function serializeState(state) {
+    const transfer = [];
+    const toFloat32 = (array) => {
+        const typed = new Float32Array(array);
+        transfer.push(typed.buffer);
+        return typed;
+    };
+
+    const data = {
+        objects: state.objects.map(object => ({
+            name: object.name,
+            geometry: {
+                type: object.geometry.type,
+                vertices: toFloat32(object.geometry.vertices),
+                normals: toFloat32(object.geometry.normals),
+                colors: toFloat32(object.geometry.colors),
+                uvs: toFloat32(object.geometry.uvs),
+                hasUVIndices: object.geometry.hasUVIndices,
+                hasNormalIndices: object.geometry.hasNormalIndices,
+                hasFaceNormals: object.geometry.hasFaceNormals
+            },
+            materials: object.materials.map(material => ({
+                index: material.index,
+                name: material.name,
+                mtllib: material.mtllib,
+                smooth: material.smooth,
+                usemap: material.usemap,
+                line: material.line,
+                groupStart: material.groupStart,
+                groupEnd: material.groupEnd,
+                groupCount: material.groupCount,
+                inherited: material.inherited
+            }))
+        })),
+        materialLibraries: state.materialLibraries.slice(),
+        hasSmoothingGroups: state.hasSmoothingGroups,
+        materials: {},
+        diagnostics: state.diagnostics,
+        diagnosticCounts: state.diagnosticCounts,
+        vertices: toFloat32(state.vertices),
+        // Vertices without a color are stored as undefined, which a Float32Array would turn into NaN;
+        // when any vertex has one they become white, otherwise there are no colors at all
+        colors: toFloat32(state.colors.some(value => value !== undefined) ? state.colors.map(value => value ?? 1) : [])
+    };
+
+    return { data, transfer };
+}
+
+self.onmessage = async (event) => {
+    const { url, buffer, strict } = event.data;
+
+    try {
+        const loader = new THREE.OBJLoader().setStrict(Boolean(strict));
+        const state = buffer ? loader.parseState(new TextDecoder().decode(buffer), (progress) => {
+            self.postMessage({ type: 'progress', phase: 'parse', loaded: progress.loaded, total: progress.total });
+        }) : await downloadAndParse(url, loader.createParser());
+
+        const { data, transfer } = serializeState(state);
+        self.postMessage({ type: 'load', state: data }, transfer);
+    } catch (error) {
+        // Strict mode errors carry the parser diagnostics, download errors the HTTP status
+        self.postMessage({ type: 'error', message: error.message, status: error.status, diagnostics: error.diagnostics });
+    }
+};
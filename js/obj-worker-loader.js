@@ -0,0 +1,112 @@
+/**
+ * obj-worker-loader.js - Parses OBJ files in a Web Worker
+ * Keeps the page (and the loading progress bar) responsive while large scans are parsed,
+ * the result is turned into meshes with THREE.OBJLoader.build on the main thread
+ */
+
+class OBJWorkerLoader {
+    /**
+     * @param {string} [workerUrl] - URL of obj-parse-worker.js
+     */
+    constructor(workerUrl = 'js/obj-parse-worker.js') {
+        this.workerUrl = workerUrl;
+        this.strict = false;
+    }
+
+    /**
+     * Reject files with parse errors instead of loading them without the broken elements
+     * @param {boolean} strict - See THREE.OBJLoader.setStrict
+     * @returns {OBJWorkerLoader}
+     */
+    setStrict(strict) {
+        this.strict = strict;
+        return this;
+    }
+
+    /**
+     * Download and parse an OBJ file
+     * @param {string} url - OBJ URL, relative to the page
+     * @param {Function} [onProgress] - Called with { phase: 'download'|'parse', loaded, total }
+     * @returns {Promise<Object>} Parser state for THREE.OBJLoader.build, rejected errors have the HTTP status
+     *     or, in strict mode, the parser diagnostics
+     */
+    load(url, onProgress) {
+        // The worker resolves relative URLs against its own script, not the page
+        const absoluteUrl = new URL(url, document.baseURI).href;
+
+        if (typeof Worker === 'undefined') {
+            return this.parseOnMainThread(fetch(absoluteUrl).then(response => {
+                if (!response.ok) {
+                    const error = new Error(`${response.status} ${response.statusText} loading ${url}`);
+                    error.status = response.status;
+                    throw error;
+                }
+                return response.text();
+            }), onProgress);
+        }
+
+        return this.run({ url: absoluteUrl, strict: this.strict }, [], onProgress);
+    }
+
+    /**
+     * Parse OBJ data that is already in memory, e.g. a dropped file
+     * @param {ArrayBuffer} buffer - File contents, transferred to the worker (the buffer is unusable afterwards)
+     * @param {Function} [onProgress] - Called with { phase: 'parse', loaded, total }
+     * @returns {Promise<Object>} Parser state for THREE.OBJLoader.build
+     */
+    parse(buffer, onProgress) {
+        if (typeof Worker === 'undefined') {
+            return this.parseOnMainThread(Promise.resolve(new TextDecoder().decode(buffer)), onProgress);
+        }
+
+        return this.run({ buffer, strict: this.strict }, [buffer], onProgress);
+    }
+
+    run(message, transfer, onProgress) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(this.workerUrl);
+
+            worker.onmessage = (event) => {
+                const data = event.data;
+
+                if (data.type === 'progress') {
+                    if (onProgress) {
+                        onProgress(data);
+                    }
+                    return;
+                }
+
+                worker.terminate();
+
+                if (data.type === 'load') {
+                    resolve(data.state);
+                } else {
+                    const error = new Error(data.message);
+                    error.status = data.status;
+                    error.diagnostics = data.diagnostics;
+                    reject(error);
+                }
+            };
+
+            worker.onerror = (event) => {
+                worker.terminate();
+                reject(new Error(event.message || `Could not start ${this.workerUrl}`));
+            };
+
+            worker.postMessage(message, transfer);
+        });
+    }
+
+    /**
+     * Fallback for browsers without Web Workers
+     */
+    async parseOnMainThread(textPromise, onProgress) {
+        const text = await textPromise;
+
+        return new THREE.OBJLoader().setStrict(this.strict).parseState(text, (progress) => {
+            if (onProgress) {
+                onProgress({ phase: 'parse', loaded: progress.loaded, total: progress.total });
+            }
+        });
+    }
+}
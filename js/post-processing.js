@@ -0,0 +1,340 @@
+/**
+ * post-processing.js - Effect pass chain for the viewer
+ * Selective bloom on the iridescent materials, chromatic aberration, vignette, CRT scanlines and film grain,
+ * each one togglable; with every effect off the scene is rendered straight to the screen as before
+ */
+
+class PostProcessing {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     * @param {Object} [options]
+     * @param {Function} [options.isBloomMaterial] - Returns true for materials that should glow, everything else is
+     *     blacked out while the bloom is rendered
+     */
+    constructor(renderer, scene, camera, options = {}) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+        this.isBloomMaterial = options.isBloomMaterial || (() => true);
+        this.settings = JSON.parse(JSON.stringify(PostProcessing.defaults));
+        this.time = 0;
+        this.viewOffset = false;
+        // Set by the quality governor on slow machines, overrides the settings without changing them
+        this.quality = { enabled: true, bloom: true };
+
+        // Flat setting names ('bloomStrength') -> [effect, parameter], the form the editor and presets use
+        this.settingNames = {};
+        Object.keys(this.settings).forEach(effect => {
+            Object.keys(this.settings[effect]).forEach(parameter => {
+                this.settingNames[effect + parameter[0].toUpperCase() + parameter.slice(1)] = [effect, parameter];
+            });
+        });
+
+        this.darkMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
+        this.storedMaterials = new Map();
+
+        // Bloom source, the scene with everything but the bloom materials blacked out
+        this.bloomComposer = new THREE.EffectComposer(renderer, this.createRenderTarget(false));
+        this.bloomComposer.renderToScreen = false;
+        this.bloomComposer.addPass(new THREE.RenderPass(scene, camera));
+        this.bloomPass = new THREE.UnrealBloomPass(new THREE.Vector2(1, 1), 1, 0, 0);
+        this.bloomComposer.addPass(this.bloomPass);
+
+        this.composer = new THREE.EffectComposer(renderer, this.createRenderTarget(true));
+        this.composer.addPass(new THREE.RenderPass(scene, camera));
+        this.finalPass = new THREE.ShaderPass(PostProcessing.FinalShader);
+        // The bloom pass leaves the blurred highlights alone in its first target before adding them to its input
+        this.finalPass.uniforms.bloomTexture.value = this.bloomPass.renderTargetsHorizontal[0].texture;
+        this.composer.addPass(this.finalPass);
+
+        const size = renderer.getSize(new THREE.Vector2());
+        this.setSize(size.x, size.y);
+        this.applySettings();
+    }
+
+    /**
+     * Half float targets keep the dark backdrop free of banding; rendering into a target loses the canvas
+     * antialiasing, so the scene target is multisampled where WebGL2 allows it
+     */
+    createRenderTarget(multisample) {
+        const parameters = {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            format: THREE.RGBAFormat,
+            type: THREE.HalfFloatType
+        };
+
+        if (multisample && this.renderer.capabilities.isWebGL2 && THREE.WebGLMultisampleRenderTarget) {
+            return new THREE.WebGLMultisampleRenderTarget(1, 1, parameters);
+        }
+        return new THREE.WebGLRenderTarget(1, 1, parameters);
+    }
+
+    setSize(width, height) {
+        const pixelRatio = this.renderer.getPixelRatio();
+
+        [this.bloomComposer, this.composer].forEach(composer => {
+            composer.setPixelRatio(pixelRatio);
+            composer.setSize(width, height);
+        });
+        if (!this.viewOffset) {
+            this.finalPass.uniforms.resolution.value.set(width * pixelRatio, height * pixelRatio);
+        }
+    }
+
+    /**
+     * Render one region of a larger frame, like THREE.PerspectiveCamera.setViewOffset, so the vignette,
+     * aberration, scanlines and grain line up across the tiles of a high resolution capture
+     * @param {number} fullWidth - Size of the whole frame in pixels
+     * @param {number} fullHeight
+     * @param {number} x - Region of this render, from the top left
+     * @param {number} y
+     * @param {number} width
+     * @param {number} height
+     */
+    setViewOffset(fullWidth, fullHeight, x, y, width, height) {
+        const uniforms = this.finalPass.uniforms;
+
+        // In uv coordinates, which start at the bottom
+        uniforms.viewport.value.set(x / fullWidth, 1 - (y + height) / fullHeight, width / fullWidth, height / fullHeight);
+        uniforms.resolution.value.set(fullWidth, fullHeight);
+        this.viewOffset = true;
+    }
+
+    clearViewOffset() {
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+
+        this.finalPass.uniforms.viewport.value.set(0, 0, 1, 1);
+        this.finalPass.uniforms.resolution.value.copy(size);
+        this.viewOffset = false;
+    }
+
+    /**
+     * @returns {boolean} False when every effect is off and the scene is rendered directly
+     */
+    isActive() {
+        return this.quality.enabled && Object.keys(this.settings).some(effect => this.settings[effect].enabled);
+    }
+
+    /**
+     * Limit the effects for performance
+     * @param {Object} quality
+     * @param {boolean} quality.enabled - False renders the scene directly, without any effect
+     * @param {boolean} quality.bloom - False skips the bloom, the most expensive effect
+     */
+    setQuality(quality) {
+        Object.assign(this.quality, quality);
+        this.applySettings();
+    }
+
+    /**
+     * @returns {boolean} True if frames differ over time even in a still scene (the grain moves)
+     */
+    isAnimated() {
+        return this.isActive() && this.settings.grain.enabled && this.settings.grain.intensity > 0;
+    }
+
+    /**
+     * Render a frame through the enabled effects
+     * @param {number} [time] - Animation time in seconds, animates the grain; keeps the last time if left out
+     */
+    render(time = this.time) {
+        this.time = time;
+
+        if (!this.isActive()) {
+            this.renderer.render(this.scene, this.camera);
+            return;
+        }
+
+        if (this.settings.bloom.enabled && this.quality.bloom) {
+            this.renderBloom();
+        }
+
+        this.finalPass.uniforms.time.value = this.time;
+        this.composer.render(0);
+    }
+
+    /**
+     * Render the bloom source; objects with userData.excludeFromBloom are hidden, the others blacked out
+     * unless they have a bloom material
+     */
+    renderBloom() {
+        const background = this.scene.background;
+        const hidden = [];
+        this.scene.background = null;
+
+        this.scene.traverse(object => {
+            if (object.userData.excludeFromBloom && object.visible) {
+                object.visible = false;
+                hidden.push(object);
+            }
+            if (!object.material || !(object.isMesh || object.isLine || object.isPoints)) {
+                return;
+            }
+
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            if (materials.every(material => this.isBloomMaterial(material))) {
+                return;
+            }
+
+            this.storedMaterials.set(object, object.material);
+            object.material = Array.isArray(object.material) ?
+                object.material.map(material => this.isBloomMaterial(material) ? material : this.darkMaterial) :
+                this.darkMaterial;
+        });
+
+        this.bloomComposer.render();
+
+        this.storedMaterials.forEach((material, object) => {
+            object.material = material;
+        });
+        this.storedMaterials.clear();
+        hidden.forEach(object => {
+            object.visible = true;
+        });
+        this.scene.background = background;
+    }
+
+    /**
+     * @returns {Object} Flat settings, e.g. { bloomEnabled: true, bloomStrength: 0.6, ... }
+     */
+    getSettings() {
+        const settings = {};
+
+        Object.keys(this.settingNames).forEach(name => {
+            const [effect, parameter] = this.settingNames[name];
+            settings[name] = this.settings[effect][parameter];
+        });
+
+        return settings;
+    }
+
+    hasSetting(name) {
+        return name in this.settingNames;
+    }
+
+    /**
+     * Change one setting
+     * @param {string} name - Flat setting name, see getSettings()
+     * @param {number|boolean} value
+     * @returns {boolean} False for unknown names
+     */
+    set(name, value) {
+        if (!this.hasSetting(name)) {
+            return false;
+        }
+
+        const [effect, parameter] = this.settingNames[name];
+        this.settings[effect][parameter] = value;
+        this.applySettings();
+
+        return true;
+    }
+
+    applySettings() {
+        const { bloom, chromaticAberration, vignette, scanlines, grain } = this.settings;
+        const uniforms = this.finalPass.uniforms;
+
+        this.bloomPass.strength = bloom.strength;
+        this.bloomPass.radius = bloom.radius;
+        this.bloomPass.threshold = bloom.threshold;
+
+        // Disabled effects are zeroed rather than removed, so toggling never recompiles the shader
+        uniforms.bloomAmount.value = bloom.enabled && this.quality.bloom ? 1 : 0;
+        uniforms.aberration.value = chromaticAberration.enabled ? chromaticAberration.amount / 100 : 0;
+        uniforms.vignetteOffset.value = vignette.offset;
+        uniforms.vignetteDarkness.value = vignette.enabled ? vignette.darkness : 0;
+        uniforms.scanlineIntensity.value = scanlines.enabled ? scanlines.intensity : 0;
+        uniforms.scanlineSpacing.value = Math.max(scanlines.spacing, 1);
+        uniforms.grainIntensity.value = grain.enabled ? grain.intensity : 0;
+    }
+}
+
+PostProcessing.defaults = {
+    bloom: { enabled: false, strength: 0.6, radius: 0.4, threshold: 0.5 },
+    chromaticAberration: { enabled: false, amount: 0.4 },   // Percent of the screen size, at the corners
+    vignette: { enabled: false, offset: 1.0, darkness: 1.0 },
+    scanlines: { enabled: false, intensity: 0.2, spacing: 3 }, // Device pixels from line to line
+    grain: { enabled: false, intensity: 0.06 }
+};
+
+/**
+ * Combines the scene and bloom, shifts the color channels, then encodes for the screen
+ * and adds the vignette, scanlines and grain on top of the display values
+ */
+PostProcessing.FinalShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        bloomTexture: { value: null },
+        bloomAmount: { value: 1 },
+        aberration: { value: 0 },
+        vignetteOffset: { value: 1 },
+        vignetteDarkness: { value: 0 },
+        scanlineIntensity: { value: 0 },
+        scanlineSpacing: { value: 3 },
+        grainIntensity: { value: 0 },
+        time: { value: 0 },
+        resolution: { value: new THREE.Vector2(1, 1) },      // Pixels of the whole frame
+        viewport: { value: new THREE.Vector4(0, 0, 1, 1) }   // Rendered region of the frame in uv, offset and size
+    },
+
+    vertexShader: `
+        varying vec2 vUv;
+
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform sampler2D bloomTexture;
+        uniform float bloomAmount;
+        uniform float aberration;
+        uniform float vignetteOffset;
+        uniform float vignetteDarkness;
+        uniform float scanlineIntensity;
+        uniform float scanlineSpacing;
+        uniform float grainIntensity;
+        uniform float time;
+        uniform vec2 resolution;
+        uniform vec4 viewport;
+
+        varying vec2 vUv;
+
+        vec3 sampleScene(vec2 uv) {
+            return texture2D(tDiffuse, uv).rgb + texture2D(bloomTexture, uv).rgb * bloomAmount;
+        }
+
+        float random(vec2 co) {
+            return fract(sin(dot(co, vec2(12.9898, 78.233))) * 43758.5453);
+        }
+
+        void main() {
+            vec2 screenUv = viewport.xy + vUv * viewport.zw;
+
+            // Red and blue drift apart towards the edges like through a cheap lens
+            vec2 offset = (screenUv - 0.5) * aberration / viewport.zw;
+            vec3 color = vec3(sampleScene(vUv + offset).r, sampleScene(vUv).g, sampleScene(vUv - offset).b);
+
+            // With a transparent background the glow keeps the pixels around the model visible
+            vec3 bloom = texture2D(bloomTexture, vUv).rgb * bloomAmount;
+            float alpha = clamp(max(texture2D(tDiffuse, vUv).a, max(bloom.r, max(bloom.g, bloom.b))), 0.0, 1.0);
+
+            gl_FragColor = vec4(color, alpha);
+            #include <encodings_fragment>
+
+            vec2 uv = (screenUv - 0.5) * vignetteOffset;
+            gl_FragColor.rgb *= max(1.0 - vignetteDarkness * dot(uv, uv), 0.0);
+
+            float y = gl_FragCoord.y + viewport.y * resolution.y;
+            float line = 0.5 + 0.5 * cos(y * 6.28318530718 / scanlineSpacing);
+            gl_FragColor.rgb *= 1.0 - scanlineIntensity * line;
+
+            gl_FragColor.rgb += (random(screenUv * resolution + fract(time)) - 0.5) * grainIntensity * gl_FragColor.a;
+        }
+    `
+};
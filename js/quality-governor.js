@@ -0,0 +1,316 @@
+/**
+ * quality-governor.js - Adaptive rendering quality for the viewer
+ * Measures the frame time (on the GPU where timer queries are available) and steps between quality tiers,
+ * trading pixel ratio, shadows, post-processing and the Fresnel lookup table size for frame rate;
+ * a tier can be forced instead, e.g. for demos on weak machines
+ */
+
+class QualityGovernor extends THREE.EventDispatcher {
+    /**
+     * @param {ModelViewer} viewer - Viewer to govern, its lights must be set up
+     */
+    constructor(viewer) {
+        super();
+
+        this.viewer = viewer;
+        this.renderer = viewer.renderer;
+        this.tierNames = Object.keys(QualityGovernor.tiers);
+        this.tier = 'high'; // Ultra is only reached once the frames show room to spare, slow machines step down within seconds
+        this.forcedTier = null; // Tier name that overrides the measurements, null adapts
+        this.targetFps = 60;
+
+        // Frame times in milliseconds since the last decision
+        this.samples = [];
+        this.sampleCount = 60;
+        this.settleSamples = 0; // Samples skipped after a change, while shaders compile and targets are allocated
+        // Tier name -> { failures, until }, a tier that was too slow is only tried again after a growing pause
+        this.blocked = {};
+        this.retryDelay = 30000;
+
+        // GPU timer queries; without them the interval between continuous frames is measured
+        const gl = this.renderer.getContext();
+        this.gl = gl;
+        this.timer = this.renderer.capabilities.isWebGL2 ? gl.getExtension('EXT_disjoint_timer_query_webgl2') : null;
+        this.activeQuery = null;
+        this.pendingQueries = []; // Results come in a few frames late
+        this.freeQueries = [];
+
+        // Draw calls and triangles add up over the passes of a frame, they are reset when the next one starts
+        // (only between beginFrame and endFrame, other renders such as captures keep the renderer's setting)
+        this.autoReset = this.renderer.info.autoReset;
+
+        this.stats = { fps: 0, frameTime: 0, updated: 0 };
+        this.overlay = document.getElementById('stats-overlay');
+
+        // ?quality=low forces a tier, ?stats=1 shows the overlay
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('quality') in QualityGovernor.tiers) {
+            this.forcedTier = params.get('quality');
+            this.tier = this.forcedTier;
+        }
+        this.setStatsVisible(params.get('stats') === '1');
+
+        this.applyTier();
+    }
+
+    /**
+     * @returns {Object} Settings of the current tier, see QualityGovernor.tiers
+     */
+    getTier() {
+        return QualityGovernor.tiers[this.tier];
+    }
+
+    /**
+     * @returns {number} Renderer pixel ratio of the current tier, never above the display's
+     */
+    getPixelRatio() {
+        return Math.min(this.getTier().pixelRatio, window.devicePixelRatio);
+    }
+
+    /**
+     * @returns {number} Size of the Fresnel lookup table, regenerating it stalls the main thread
+     *     so only a forced tier changes it, adaptive steps keep QualityGovernor.fresnelMapSize
+     */
+    getFresnelMapSize() {
+        return this.forcedTier !== null ? this.getTier().fresnelMapSize : QualityGovernor.fresnelMapSize;
+    }
+
+    /**
+     * Override the measurements
+     * @param {string|null} name - Key in QualityGovernor.tiers, null to adapt again
+     */
+    setForcedTier(name) {
+        if (name !== null && !(name in QualityGovernor.tiers)) {
+            console.warn(`Unknown quality tier: ${name}`);
+            return;
+        }
+
+        this.forcedTier = name;
+        this.blocked = {};
+        if (name !== null && name !== this.tier) {
+            this.setTier(name);
+        } else {
+            // The lookup table size depends on whether the tier is forced
+            this.applyTier();
+            this.samples.length = 0;
+            this.dispatchEvent({ type: 'change', tier: this.tier, forced: this.forcedTier !== null });
+        }
+    }
+
+    setTier(name) {
+        const changed = name !== this.tier;
+
+        this.tier = name;
+        this.samples.length = 0;
+        if (changed) {
+            this.applyTier();
+            this.dispatchEvent({ type: 'change', tier: this.tier, forced: this.forcedTier !== null });
+        }
+    }
+
+    stepDown() {
+        const index = this.tierNames.indexOf(this.tier);
+        if (index === 0) {
+            return;
+        }
+
+        // The tier could not keep up, wait longer before every new attempt
+        const block = this.blocked[this.tier] || { failures: 0, until: 0 };
+        block.until = performance.now() + this.retryDelay * Math.pow(2, block.failures);
+        block.failures++;
+        this.blocked[this.tier] = block;
+
+        this.setTier(this.tierNames[index - 1]);
+    }
+
+    stepUp() {
+        const index = this.tierNames.indexOf(this.tier);
+        const next = this.tierNames[index + 1];
+        const block = this.blocked[next];
+
+        if (next && !(block && performance.now() < block.until)) {
+            this.setTier(next);
+        }
+    }
+
+    /**
+     * Push the current tier into the renderer, lights, post-processing and lookup table
+     */
+    applyTier() {
+        const tier = this.getTier();
+        const { renderer, scene, postProcessing } = this.viewer;
+
+        // A capture sizes the renderer itself and puts the tier's pixel ratio back when done
+        if (!this.viewer.capturing) {
+            renderer.setPixelRatio(this.getPixelRatio());
+            renderer.setSize(window.innerWidth, window.innerHeight);
+            postProcessing.setSize(window.innerWidth, window.innerHeight);
+        }
+
+        const shadows = tier.shadowMapSize > 0;
+        if (renderer.shadowMap.enabled !== shadows) {
+            renderer.shadowMap.enabled = shadows;
+            // The shadow code is compiled into the shaders
+            scene.traverse(object => {
+                if (object.material) {
+                    (Array.isArray(object.material) ? object.material : [object.material])
+                        .forEach(material => { material.needsUpdate = true; });
+                }
+            });
+        }
+        scene.traverse(object => {
+            if (object.isLight && object.shadow && shadows && object.shadow.mapSize.x !== tier.shadowMapSize) {
+                object.shadow.mapSize.set(tier.shadowMapSize, tier.shadowMapSize);
+                // Allocated again at the new size on the next render
+                if (object.shadow.map) {
+                    object.shadow.map.dispose();
+                    object.shadow.map = null;
+                }
+            }
+        });
+
+        postProcessing.setQuality({ enabled: tier.postProcessing, bloom: tier.bloom });
+
+        if (this.viewer.fresnelMap) {
+            this.viewer.fresnelMap.setSize(this.getFresnelMapSize());
+        }
+
+        this.settleSamples = 10;
+        this.viewer.requestRender();
+    }
+
+    /**
+     * Call right before a frame is rendered
+     */
+    beginFrame() {
+        this.autoReset = this.renderer.info.autoReset;
+        this.renderer.info.autoReset = false;
+        this.renderer.info.reset();
+
+        if (this.timer) {
+            this.readQueries();
+            this.activeQuery = this.freeQueries.pop() || this.gl.createQuery();
+            this.gl.beginQuery(this.timer.TIME_ELAPSED_EXT, this.activeQuery);
+        }
+    }
+
+    /**
+     * Call right after a frame is rendered
+     * @param {number} interval - Seconds since the previous frame
+     * @param {boolean} continuous - True if the previous frame came right before, so the interval is a frame time
+     */
+    endFrame(interval, continuous) {
+        this.renderer.info.autoReset = this.autoReset;
+
+        if (this.activeQuery) {
+            this.gl.endQuery(this.timer.TIME_ELAPSED_EXT);
+            this.pendingQueries.push(this.activeQuery);
+            this.activeQuery = null;
+        } else if (continuous) {
+            this.addSample(interval * 1000);
+        }
+
+        if (continuous && interval > 0) {
+            this.stats.fps += (1 / interval - this.stats.fps) * 0.1;
+        }
+        this.updateOverlay(continuous);
+    }
+
+    readQueries() {
+        const gl = this.gl;
+        // A disjoint event (e.g. a power state change) makes the results in flight meaningless
+        const disjoint = gl.getParameter(this.timer.GPU_DISJOINT_EXT);
+
+        while (this.pendingQueries.length > 0) {
+            const query = this.pendingQueries[0];
+            if (!gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE)) {
+                break;
+            }
+
+            this.pendingQueries.shift();
+            if (!disjoint) {
+                this.addSample(gl.getQueryParameter(query, gl.QUERY_RESULT) / 1e6);
+            }
+            this.freeQueries.push(query);
+        }
+    }
+
+    /**
+     * Record a frame time and move a tier up or down once enough have come in
+     * @param {number} frameTime - Milliseconds
+     */
+    addSample(frameTime) {
+        this.stats.frameTime += (frameTime - this.stats.frameTime) * 0.1;
+
+        if (this.settleSamples > 0) {
+            this.settleSamples--;
+            return;
+        }
+        if (this.forcedTier !== null || this.viewer.capturing) {
+            return;
+        }
+
+        this.samples.push(frameTime);
+        if (this.samples.length < this.sampleCount) {
+            return;
+        }
+
+        // The median ignores the odd hitch, e.g. a texture upload
+        const median = this.samples.sort((a, b) => a - b)[Math.floor(this.samples.length / 2)];
+        const budget = 1000 / this.targetFps;
+        this.samples.length = 0;
+
+        // GPU time leaves headroom for the CPU and compositing; frame intervals never drop below the display
+        // refresh, so reaching it is taken as room to spare and a failed step up is blocked for a while
+        const [slow, fast] = this.timer ? [0.9, 0.5] : [1.2, 1.05];
+        if (median > budget * slow) {
+            this.stepDown();
+        } else if (median < budget * fast) {
+            this.stepUp();
+        }
+    }
+
+    setStatsVisible(visible) {
+        this.statsVisible = visible;
+        if (this.overlay) {
+            this.overlay.hidden = !visible;
+        }
+        this.stats.updated = 0;
+    }
+
+    updateOverlay(continuous) {
+        const now = performance.now();
+        if (!this.statsVisible || !this.overlay || now - this.stats.updated < 500) {
+            return;
+        }
+        this.stats.updated = now;
+
+        const tier = this.getTier();
+        const info = this.renderer.info.render;
+        this.overlay.textContent = [
+            `${continuous ? Math.round(this.stats.fps) : '--'} fps`,
+            `${this.stats.frameTime.toFixed(1)} ms ${this.timer ? 'GPU' : 'frame'}`,
+            `${tier.label} (${this.forcedTier !== null ? 'forced' : 'auto'})`,
+            `pixel ratio ${this.getPixelRatio().toFixed(2)}`,
+            `shadows ${tier.shadowMapSize > 0 ? tier.shadowMapSize : 'off'}`,
+            `${info.calls} draw calls`,
+            `${info.triangles.toLocaleString()} triangles`
+        ].join('\n');
+    }
+}
+
+/**
+ * Quality tiers from lowest to highest; pixel ratios are capped by the display's,
+ * the Fresnel lookup table sizes only apply to forced tiers
+ */
+QualityGovernor.tiers = {
+    low: { label: 'Low', pixelRatio: 0.75, shadowMapSize: 0, postProcessing: false, bloom: false, fresnelMapSize: 32 },
+    medium: { label: 'Medium', pixelRatio: 1, shadowMapSize: 1024, postProcessing: true, bloom: false, fresnelMapSize: 64 },
+    high: { label: 'High', pixelRatio: 1.5, shadowMapSize: 2048, postProcessing: true, bloom: true, fresnelMapSize: 64 },
+    ultra: { label: 'Ultra', pixelRatio: 2, shadowMapSize: 2048, postProcessing: true, bloom: true, fresnelMapSize: 128 }
+};
+
+/**
+ * Fresnel lookup table size while the tier adapts
+ */
+QualityGovernor.fresnelMapSize = 64;
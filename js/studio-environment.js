@@ -0,0 +1,126 @@
+/**
+ * studio-environment.js - Procedural studio scene for image based lighting
+ * Softbox panels, thin rim strips and a gradient floor inside a dark dome, rendered by
+ * PMREMGenerator.fromScene into an environment map, so reflections need no image files
+ */
+
+class StudioEnvironment extends THREE.Scene {
+    /**
+     * @param {Object} [settings] - Overrides for StudioEnvironment.defaults, arrays replace the default lists
+     * @param {Object} [settings.dome] - { top, bottom } colors of the surrounding dome
+     * @param {Object} [settings.floor] - { center, edge, height, radius } radial gradient floor below the model
+     * @param {Object[]} [settings.panels] - Softboxes: { color, intensity, position: [x, y, z], width, height },
+     *     facing the center
+     * @param {Object[]} [settings.strips] - Vertical rim strips: { color, intensity, position: [x, y, z], length, width }
+     */
+    constructor(settings = {}) {
+        super();
+
+        this.settings = Object.assign({}, StudioEnvironment.defaults, settings);
+
+        this.add(this.createDome(this.settings.dome));
+        this.add(this.createFloor(this.settings.floor));
+
+        this.settings.panels.forEach(panel => {
+            this.add(this.createLight(panel, panel.width, panel.height, false));
+        });
+
+        this.settings.strips.forEach(strip => {
+            this.add(this.createLight(strip, strip.width, strip.length, true));
+        });
+    }
+
+    /**
+     * Sphere around the studio with a vertical gradient, seen from inside
+     */
+    createDome(dome) {
+        const geometry = new THREE.SphereGeometry(40, 32, 16);
+        const top = new THREE.Color(dome.top);
+        const bottom = new THREE.Color(dome.bottom);
+
+        this.setVertexColors(geometry, (x, y) => bottom.clone().lerp(top, y / 80 + 0.5));
+
+        return new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ vertexColors: true, side: THREE.BackSide }));
+    }
+
+    /**
+     * Disc below the model that fades from the center color to the edge color
+     */
+    createFloor(floor) {
+        const geometry = new THREE.CircleGeometry(floor.radius, 64, 0, Math.PI * 2);
+        const center = new THREE.Color(floor.center);
+        const edge = new THREE.Color(floor.edge);
+
+        geometry.rotateX(-Math.PI / 2);
+        geometry.translate(0, -floor.height, 0);
+        this.setVertexColors(geometry, (x, y, z) => center.clone().lerp(edge, Math.min(Math.hypot(x, z) / floor.radius, 1)));
+
+        return new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ vertexColors: true }));
+    }
+
+    /**
+     * Emissive rectangle facing the center, brighter than 1 so it shows as a hot spot in the reflections
+     * @param {boolean} upright - Only turn around the vertical axis, so strips stay vertical above or below the model
+     */
+    createLight(light, width, height, upright) {
+        const material = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide });
+        material.color.set(light.color).multiplyScalar(light.intensity);
+
+        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+        mesh.position.fromArray(light.position);
+        mesh.lookAt(0, upright ? light.position[1] : 0, 0);
+
+        return mesh;
+    }
+
+    setVertexColors(geometry, colorAt) {
+        const position = geometry.getAttribute('position');
+        const colors = new Float32Array(position.count * 3);
+
+        for (let i = 0; i < position.count; i++) {
+            colorAt(position.getX(i), position.getY(i), position.getZ(i)).toArray(colors, i * 3);
+        }
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    }
+
+    /**
+     * Render the studio into a prefiltered environment map
+     * @param {THREE.PMREMGenerator} pmremGenerator
+     * @returns {THREE.WebGLRenderTarget} Render target whose texture is the environment map
+     */
+    bake(pmremGenerator) {
+        return pmremGenerator.fromScene(this, 0.04);
+    }
+
+    /**
+     * Free the studio geometry and materials, the baked environment map is not affected
+     */
+    dispose() {
+        this.traverse(child => {
+            if (child.isMesh) {
+                child.geometry.dispose();
+                child.material.dispose();
+            }
+        });
+    }
+}
+
+/**
+ * Default studio, the cyan/magenta/yellow rig of ModelViewer.setupLights as softboxes
+ * and its accent point lights as rim strips
+ */
+StudioEnvironment.defaults = {
+    dome: { top: '#0c0a14', bottom: '#020203' },
+    floor: { center: '#2a1c30', edge: '#030305', height: 3, radius: 20 },
+    panels: [
+        { color: '#00ffff', intensity: 6, position: [5, 5, 5], width: 4, height: 3 },
+        { color: '#ff00ff', intensity: 5, position: [-5, 3, -5], width: 3, height: 4 },
+        { color: '#ffff00', intensity: 3, position: [0, -2.5, -6], width: 5, height: 1.5 },
+        { color: '#8888ff', intensity: 1.5, position: [0, 8, 0.5], width: 6, height: 6 }
+    ],
+    strips: [
+        { color: '#ff4488', intensity: 10, position: [6, 0, 4], length: 8, width: 0.2 },
+        { color: '#44ffaa', intensity: 8, position: [-6, 1, -3], length: 8, width: 0.2 },
+        { color: '#ffffff', intensity: 4, position: [-5, 0, 5], length: 6, width: 0.1 }
+    ]
+};
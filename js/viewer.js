@@ -4,8 +4,10 @@
  * Features thin-film iridescence effect with scroll-based thickness adjustment
  */
 
-class ModelViewer {
+class ModelViewer extends THREE.EventDispatcher {
     constructor() {
+        super();
+        
         this.scene = null;
         this.camera = null;
         this.renderer = null;
@@ -13,17 +15,114 @@ class ModelViewer {
         this.model = null;
         this.lights = {};
         this.iridescenceMaterials = []; // Store references to materials with iridescence
+        this.fresnelMap = null; // Thickness x angle lookup table shared by all iridescent materials
         this.filmThickness = 380; // Default film thickness in nanometers (200-1000)
         this.iridescenceBoost = 15.0; // Intensity multiplier for iridescence effect
+        this.modelScale = 1; // Scale applied to the loaded model, keeps noise frequency model independent
+        this.autoRotateSpeed = 0.06; // Radians per second the model turns by itself
+        this.coating = 'default'; // ThinFilmFresnelMap preset, 'custom' once the indices are edited by hand
+        this.modelUrl = 'atltvhead.obj'; // Model to load, relative to the page (.obj, .gltf or .glb)
+        this.overrideGltfMaterials = false; // Replace the PBR materials of glTF models with the iridescent material
+        this.iridescentMaterialPattern = null; // Only materials with a matching name become iridescent, null for all
+        this.strictObjParsing = false; // Reject OBJ files with bad indices or coordinates instead of loading what can be read
+        this.modelIsGltf = false;
+        this.modelRequest = 0; // Counts model loads, a load that finishes after a newer one started is dropped
+        this.mixer = null; // Plays the animations embedded in glTF models
+        this.clock = new THREE.Clock();
+        
+        // Frames are only drawn while something moves or after a change, and not at all while the canvas is hidden
+        this.renderOnDemand = true; // False draws every frame
+        this.frameRequest = null;
+        this.needsRender = false;
+        this.visible = true; // Page shown and canvas on screen
+        this.canvasOnScreen = true;
+        this.looping = false; // True while frames follow each other without a pause, their interval is then a frame time
+        
+        // Steps the pixel ratio, shadows, effects and lookup table size to the measured frame time, see QualityGovernor.tiers
+        this.qualityGovernor = null;
+        
+        // Animation time in seconds, the rotation, thickness sweep, lights and glTF animations are functions of it
+        this.time = 0;
+        this.playing = true;
+        this.timeScale = 1; // Speed multiplier
+        this.fixedTimeStep = 0; // Seconds every frame advances in fixed-step mode, 0 follows the wall clock
+        // Film thickness swings between min and max (nm) once per period (seconds), around which audio modulates
+        this.thicknessSweep = { enabled: false, min: 250, max: 800, period: 8 };
+        
+        // Reflected surroundings, see ModelViewer.environments
+        this.environment = 'studio'; // Bundled environment to load, 'custom' for a dropped file
+        this.environmentBackground = false; // Show the environment behind the model instead of the dark backdrop
+        this.studioPreset = {}; // Studio settings of the lighting preset, see LightingRig.presets
+        this.studioSettings = {}; // Overrides on top of the preset, see setStudioEnvironment()
+        this.envMap = null; // Prefiltered (PMREM) environment map shared by all materials
+        this.envMapTarget = null; // Render target holding envMap
+        
+        // Light rig presets and choreography, see LightingRig.presets
+        this.lightingRig = null;
+        this.lightingPreset = 'neon';
+        
+        // Sound input (see AudioReactive) and what it drives; source is a band name or 'beat', amount 0 turns a target off
+        this.audio = null;
+        this.audioMapping = {
+            filmThickness: { source: 'bass', amount: 250 },      // Nanometers added at full level
+            iridescenceBoost: { source: 'beat', amount: 10 },    // Added to the boost
+            lights: { source: 'mid', amount: 1 },                // Light intensities scaled by up to 1 + amount
+            rotation: { source: 'treble', amount: 1.2 }          // Radians per second added to the rotation
+        };
+        this.audioRotationSpeed = 0;
+        this.audioRotation = 0; // Turn added by audio so far, sound is live input and stays outside the timeline
+        this.audioModulated = false;
+        
+        // MIDI and OSC input, see ControlSurface.targets for what can be controlled
+        this.controlSurface = null;
+        
+        // Stills and turntables, the frame loop pauses while they render
+        this.capture = null;
+        this.capturing = false;
+        this.pmremGenerator = null;
+        this.environmentRequest = 0;
+        
+        // Base PBR properties of the iridescent materials
+        this.materialSettings = {
+            color: '#111111',
+            metalness: 1.0,
+            roughness: 0.15,
+            envMapIntensity: 1.5
+        };
+        
+        // Film thickness variation across the surface
+        this.thicknessVariation = {
+            source: 'auto',   // 'auto', 'uniform', 'texture', 'vertexColor' or 'noise'
+            amount: 150,      // Thickness swing in nanometers around filmThickness
+            noiseScale: 1.2,  // Frequency of the procedural noise field
+            map: null         // Grayscale THREE.Texture sampled via UVs for the 'texture' source
+        };
+        
+        // Repair of OBJ meshes without vn normals, whose flat normals make the iridescence faceted
+        this.meshRepair = {
+            enabled: true,
+            creaseAngle: 40,      // Degrees, edges sharper than this stay hard
+            weldTolerance: 1e-4   // Vertices closer than this fraction of the mesh size are welded
+        };
         
         // Texture sampling offset to prevent glossy artifacts at texture boundaries
         this.TEXTURE_SAMPLE_OFFSET = 0.99;
         
+        // State shared through the URL hash, the view is restored once the model is in place
+        this.urlState = this.readUrlState();
+        this.urlStateTimeout = null;
+        this.urlStateEnabled = false;
+        this.applyUrlSettings(this.urlState);
+        
         this.init();
         this.setupLights();
+        this.qualityGovernor = new QualityGovernor(this);
         this.loadModel();
         this.setupEventListeners();
-        this.animate();
+        this.setupUrlState();
+        this.controlSurface = new ControlSurface(this);
+        this.capture = new ViewerCapture(this);
+        this.requestRender();
     }
 
     init() {
@@ -32,7 +131,8 @@ class ModelViewer {
         
         // Create scene
         this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(0x0a0a0a);
+        this.backgroundColor = new THREE.Color(0x0a0a0a);
+        this.scene.background = this.backgroundColor;
         
         // Create camera
         this.camera = new THREE.PerspectiveCamera(
@@ -57,6 +157,15 @@ class ModelViewer {
         this.renderer.toneMappingExposure = 1.5;
         this.renderer.outputEncoding = THREE.sRGBEncoding;
         
+        // Effect chain in front of the screen, only the iridescent materials bloom
+        this.postProcessing = new PostProcessing(this.renderer, this.scene, this.camera, {
+            isBloomMaterial: (material) => this.iridescenceMaterials.includes(material)
+        });
+        
+        // Optional floor under the model, sized to it when it is loaded
+        this.groundStage = new GroundStage(this.renderer);
+        this.scene.add(this.groundStage);
+        
         // Create orbit controls
         this.controls = new THREE.OrbitControls(this.camera, this.renderer.domElement);
         this.controls.enableDamping = true;
@@ -116,85 +225,510 @@ class ModelViewer {
         this.scene.add(accentLight2);
         this.lights.accent2 = accentLight2;
         
-        // Create a simple environment map for iridescence reflections
-        this.createEnvironmentMap();
+        // Presets cross-fade these lights, the timeline mode moves them
+        this.lightingRig = new LightingRig(this.lights);
+        
+        // Image based lighting for the reflections
+        this.setupEnvironment();
+    }
+
+    /**
+     * Cross-fade the lights to a preset, the procedural studio environment switches to the preset's colors as well
+     * @param {string} name - Key in LightingRig.presets, e.g. 'sunset'
+     * @param {number} [duration=1.5] - Fade time in seconds
+     */
+    setLightingPreset(name, duration = 1.5) {
+        const preset = LightingRig.presets[name];
+        if (!preset) {
+            console.warn(`Unknown lighting preset "${name}"`);
+            return;
+        }
+        
+        // While paused, time stands still and a fade would never run
+        this.lightingRig.fadeTo(preset, this.playing ? duration : 0);
+        this.lightingPreset = name;
+        
+        // Baked environments can't fade, the studio changes at the start of the light fade;
+        // settings changed with setStudioEnvironment() stay on top of the preset's
+        this.studioPreset = Object.assign({}, preset.studio);
+        if (this.environment === 'studio') {
+            this.setStudioEnvironment();
+        }
+        
+        this.dispatchEvent({ type: 'change', setting: 'lightingPreset', value: name });
+    }
+
+    /**
+     * Let the lights orbit the model and pulse, driven by the animation time
+     * @param {boolean} enabled
+     * @param {Object} [options] - orbitSpeed (radians per second), pulse (intensity swing, 0-1), pulseSpeed (per second)
+     */
+    setLightTimeline(enabled, options = {}) {
+        this.lightingRig.setTimeline(enabled, options);
+        
+        this.dispatchEvent({ type: 'change', setting: 'lightTimeline', value: enabled });
+    }
+
+    /**
+     * Put everything animated at a point in time: model rotation, thickness sweep, lights and glTF animations
+     * The same time always gives the same frame, so captures and synced performances can be reproduced
+     * @param {number} time - Animation time in seconds
+     */
+    setTime(time) {
+        this.time = Math.max(time, 0);
+        
+        if (this.model) {
+            this.model.rotation.y = this.autoRotateSpeed * this.time + this.audioRotation;
+        }
+        // Audio modulates around the swept thickness and writes it itself
+        if (this.thicknessSweep.enabled && !this.audioModulated) {
+            this.applyFilmThickness(this.getFilmThicknessAt(this.time));
+        }
+        if (this.mixer) {
+            this.mixer.setTime(this.time);
+        }
+        this.lightingRig.setTime(this.time);
+        
+        this.dispatchEvent({ type: 'time', time: this.time });
+    }
+
+    /**
+     * @param {number} time - Animation time in seconds
+     * @returns {number} Film thickness in nanometers, the setting or the thickness sweep at that time
+     */
+    getFilmThicknessAt(time) {
+        const { enabled, min, max, period } = this.thicknessSweep;
+        if (!enabled) {
+            return this.filmThickness;
+        }
+        
+        return min + (max - min) * (0.5 - 0.5 * Math.cos(time / period * Math.PI * 2));
+    }
+
+    /**
+     * @param {boolean} playing - False pauses the animation, the camera can still be moved
+     */
+    setPlaying(playing) {
+        this.playing = playing;
+        
+        this.dispatchEvent({ type: 'change', setting: 'playing', value: playing });
+    }
+
+    /**
+     * @param {number} scale - Animation speed multiplier, 1 is real time
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(scale, 0);
+        
+        this.dispatchEvent({ type: 'change', setting: 'timeScale', value: this.timeScale });
+    }
+
+    /**
+     * Advance the same time every frame, whatever the refresh rate or frame drops
+     * @param {number} step - Seconds per frame, e.g. 1 / 60; 0 follows the wall clock again
+     */
+    setFixedTimeStep(step) {
+        this.fixedTimeStep = Math.max(step, 0);
+        
+        this.dispatchEvent({ type: 'change', setting: 'fixedTimeStep', value: this.fixedTimeStep });
+    }
+
+    /**
+     * Sweep the film thickness back and forth over time
+     * @param {boolean} enabled
+     * @param {Object} [options] - min and max thickness (nm), period (seconds per sweep)
+     */
+    setThicknessSweep(enabled, options = {}) {
+        Object.assign(this.thicknessSweep, options, { enabled });
+        // Turning it off goes back to the film thickness setting
+        this.applyFilmThickness(this.getFilmThicknessAt(this.time));
+        
+        this.dispatchEvent({ type: 'change', setting: 'thicknessSweep', value: enabled });
+    }
+
+    /**
+     * React to sound from the microphone or an audio file, see audioMapping for what it drives
+     * Has to be called from a user gesture (click, drop), browsers keep audio off until then
+     * @param {string|File} [input='microphone'] - 'microphone', an audio File or an audio URL
+     * @returns {Promise} Rejected if the microphone is denied or the file can't be played
+     */
+    startAudio(input = 'microphone') {
+        if (!this.audio) {
+            this.audio = new AudioReactive();
+        }
+        
+        const start = input === 'microphone' ? this.audio.useMicrophone() : this.audio.useFile(input);
+        
+        return start.then(() => {
+            this.dispatchEvent({ type: 'change', setting: 'audio', value: input === 'microphone' ? 'microphone' : 'file' });
+        });
+    }
+
+    stopAudio() {
+        if (this.audio) {
+            this.audio.stop();
+        }
+        
+        this.dispatchEvent({ type: 'change', setting: 'audio', value: null });
+    }
+
+    /**
+     * Modulate the film thickness, boost, light intensities and rotation speed around their settings
+     * by the audio levels, called every frame
+     * @param {number} delta - Seconds since the last frame
+     */
+    updateAudio(delta) {
+        if (!this.audio || !this.audio.active) {
+            // Put everything back once the input stops
+            if (this.audioModulated) {
+                this.applyFilmThickness(this.getFilmThicknessAt(this.time));
+                this.applyAudioBoost(this.iridescenceBoost);
+                this.lightingRig.setIntensityScale(1);
+                this.audioRotationSpeed = 0;
+                this.audioModulated = false;
+            }
+            return;
+        }
+        
+        const levels = this.audio.update(delta);
+        const mapped = (target) => {
+            const mapping = this.audioMapping[target];
+            return mapping ? (levels[mapping.source] || 0) * mapping.amount : 0;
+        };
+        
+        this.applyFilmThickness(Math.max(200, Math.min(1000, this.getFilmThicknessAt(this.time) + mapped('filmThickness'))));
+        this.applyAudioBoost(Math.max(0, this.iridescenceBoost + mapped('iridescenceBoost')));
+        this.lightingRig.setIntensityScale(1 + mapped('lights'));
+        this.audioRotationSpeed = mapped('rotation');
+        this.audioRotation += this.audioRotationSpeed * delta;
+        this.audioModulated = true;
+    }
+
+    applyAudioBoost(boost) {
+        this.iridescenceMaterials.forEach(material => {
+            const uniforms = material.userData.uniforms;
+            if (uniforms) {
+                uniforms.iridescenceBoost.value = boost;
+            }
+        });
+    }
+
+    /**
+     * Set up the PMREM generator and load the first environment
+     * The metallic film reflects almost nothing but its surroundings, so the environment sets most of the look
+     */
+    setupEnvironment() {
+        this.pmremGenerator = new THREE.PMREMGenerator(this.renderer);
+        this.pmremGenerator.compileEquirectangularShader();
+        
+        this.setEnvironment(this.environment).catch(() => {});
+    }
+
+    /**
+     * Switch to one of the environments in ModelViewer.environments
+     * @param {string} name - Environment key, e.g. 'neon'
+     * @returns {Promise<THREE.Texture>} The prefiltered environment map
+     */
+    setEnvironment(name) {
+        const environment = ModelViewer.environments[name];
+        if (!environment) {
+            console.warn(`Unknown environment "${name}"`);
+            return Promise.reject(new Error(`Unknown environment "${name}"`));
+        }
+        
+        if (environment.procedural) {
+            return Promise.resolve(this.setStudioEnvironment());
+        }
+        return this.loadEnvironment(environment.url, name);
+    }
+
+    /**
+     * Bake the procedural studio into the environment map and switch to it
+     * @param {Object|null} [settings] - Changes to the current studio settings (see StudioEnvironment), e.g.
+     *     { panels: [...] }; top-level keys replace the current value, nothing is merged deeper. They are kept
+     *     when the lighting preset changes, null drops them and goes back to the preset's studio
+     * @returns {THREE.Texture} The prefiltered environment map
+     */
+    setStudioEnvironment(settings = {}) {
+        this.studioSettings = settings === null ? {} : Object.assign({}, this.studioSettings, settings);
+        
+        // Image environments that are still loading would replace the studio when they arrive
+        this.environmentRequest++;
+        
+        const studio = new StudioEnvironment(Object.assign({}, this.studioPreset, this.studioSettings));
+        this.applyEnvironment(studio.bake(this.pmremGenerator), 'studio');
+        studio.dispose();
+        
+        return this.envMap;
+    }
+
+    /**
+     * Load an equirectangular .hdr (RGBE) or .exr image and light the scene with it
+     * The image is prefiltered into a PMREM map, which gives rough surfaces correctly blurred reflections
+     * @param {string} url - Image URL
+     * @param {string} [name='custom'] - Name reported in the change event
+     * @param {string} [format] - 'hdr' or 'exr', taken from the URL by default (blob URLs have no extension)
+     * @returns {Promise<THREE.Texture>} The prefiltered environment map, rejected if the image can't be loaded
+     */
+    loadEnvironment(url, name = 'custom', format = null) {
+        const extension = (format || url.split(/[?#]/)[0].split('.').pop()).toLowerCase();
+        if (extension !== 'hdr' && extension !== 'exr') {
+            return Promise.reject(new Error(`Unsupported environment format "${extension}", use .hdr or .exr`));
+        }
+        
+        // Only the latest request is applied when the environment is switched again while loading
+        const request = ++this.environmentRequest;
+        const loader = extension === 'exr' ? new THREE.EXRLoader() : new THREE.RGBELoader();
+        
+        return loader.loadAsync(url).then(texture => {
+            if (!texture.image || !texture.image.data) {
+                throw new Error(`${url} is not a valid .${extension} image`);
+            }
+            if (request !== this.environmentRequest) {
+                texture.dispose();
+                return this.envMap;
+            }
+            
+            const target = this.pmremGenerator.fromEquirectangular(texture);
+            texture.dispose();
+            
+            this.applyEnvironment(target, name);
+            return this.envMap;
+        }).catch(error => {
+            console.error(`Failed to load environment ${url}:`, error);
+            throw error;
+        });
+    }
+
+    /**
+     * Load a dropped .hdr or .exr file as the environment
+     * @param {File} file - Environment image
+     * @returns {Promise<THREE.Texture>}
+     */
+    loadEnvironmentFile(file) {
+        const url = URL.createObjectURL(file);
+        const format = file.name.split('.').pop();
+        
+        return this.loadEnvironment(url, 'custom', format).finally(() => URL.revokeObjectURL(url));
     }
 
     /**
-     * Create a simple environment map for reflections
+     * Use a prefiltered environment map for the iridescent materials, glTF materials (via scene.environment)
+     * and, if enabled, the background
+     * @param {THREE.WebGLRenderTarget} target - PMREMGenerator result, disposed when the environment changes again
+     * @param {string} name - Name reported in the change event
      */
-    createEnvironmentMap() {
-        // Create a simple colored cube map for iridescence visibility
-        const size = 512;
-        const canvas = document.createElement('canvas');
-        canvas.width = size;
-        canvas.height = size;
-        const ctx = canvas.getContext('2d');
+    applyEnvironment(target, name) {
+        const previous = this.envMapTarget;
+        const envMap = target.texture;
         
-        // Create a gradient background
-        const gradient = ctx.createLinearGradient(0, 0, size, size);
-        gradient.addColorStop(0, '#4facfe');
-        gradient.addColorStop(0.5, '#00f2fe');
-        gradient.addColorStop(1, '#43e97b');
-        ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, size, size);
+        this.envMapTarget = target;
+        this.envMap = envMap;
+        this.environment = name;
+        this.scene.environment = envMap;
+        this.scene.background = this.environmentBackground ? envMap : this.backgroundColor;
+        
+        this.iridescenceMaterials.forEach(material => {
+            // Line and point materials don't reflect
+            if (material.isMeshStandardMaterial) {
+                material.envMap = envMap;
+                // Going from no map to a map changes the shader
+                material.needsUpdate = true;
+            }
+        });
+        
+        if (previous) {
+            previous.dispose();
+        }
+        
+        this.dispatchEvent({ type: 'change', setting: 'environment', value: name });
+    }
+
+    /**
+     * Show the environment behind the model instead of the dark backdrop
+     * @param {boolean} visible
+     */
+    setEnvironmentBackground(visible) {
+        this.environmentBackground = visible;
+        this.scene.background = visible && this.envMap ? this.envMap : this.backgroundColor;
         
-        // Create texture from canvas
-        const texture = new THREE.CanvasTexture(canvas);
-        texture.needsUpdate = true;
+        this.dispatchEvent({ type: 'change', setting: 'environmentBackground', value: visible });
+    }
+
+    /**
+     * Show a floor under the model
+     * @param {string} mode - Key in GroundStage.modes: 'none', 'shadow' (catches the real-time shadows),
+     *     'contact' (soft baked contact shadows) or 'reflective' (mirror floor)
+     * @param {Object} [options]
+     * @param {number} [options.opacity] - 0-1, darkness of the shadows or strength of the reflection
+     */
+    setGround(mode, options = {}) {
+        this.groundStage.setMode(mode);
+        if (options.opacity !== undefined) {
+            this.groundStage.setOpacity(options.opacity);
+        }
         
-        this.envMap = texture;
+        this.dispatchEvent({ type: 'change', setting: 'ground', value: this.groundStage.mode });
     }
 
     /**
      * Create an iridescent material using thin-film interference
      * @param {number} thickness - Film thickness in nanometers
+     * @param {THREE.BufferGeometry} [geometry] - Geometry the material is for, used to pick the thickness source
+     * @param {THREE.Material} [source] - Material loaded with the model (e.g. from an MTL file) to take textures from
      * @returns {THREE.MeshStandardMaterial}
      */
-    createIridescenceMaterial(thickness = 380) {
-        // Create the thin-film fresnel map
-        const fresnelMap = new ThinFilmFresnelMap(thickness, 2.0, 3.0, 64);
+    createIridescenceMaterial(thickness = 380, geometry = null, source = null) {
+        // The fresnel map covers every thickness, so one table serves all materials
+        const fresnelMap = this.getFresnelMap();
         
         const material = new THREE.MeshStandardMaterial({
-            color: 0x111111,
-            metalness: 1.0,
-            roughness: 0.15,
+            color: this.materialSettings.color,
+            metalness: this.materialSettings.metalness,
+            roughness: this.materialSettings.roughness,
             envMap: this.envMap,
-            envMapIntensity: 1.5
+            envMapIntensity: this.materialSettings.envMapIntensity
         });
         
-        // Store the fresnel map for later updates
+        if (source) {
+            material.name = source.name;
+            material.map = source.map || null;
+            material.normalMap = source.normalMap || null;
+            material.bumpMap = source.bumpMap || null;
+            material.alphaMap = source.alphaMap || null;
+            material.transparent = !!source.transparent;
+            material.opacity = source.opacity !== undefined ? source.opacity : 1;
+        }
+        
+        // Uniforms are kept on the material so thickness and boost can change without recompiling
+        const uniforms = {
+            thinFilmFresnelMap: { value: fresnelMap },
+            thinFilmThicknessRange: { value: fresnelMap.thicknessRange },
+            filmThickness: { value: thickness },
+            iridescenceBoost: { value: this.iridescenceBoost },
+            thicknessVariation: { value: this.thicknessVariation.amount },
+            thinFilmThicknessMap: { value: null },
+            thinFilmNoiseScale: { value: this.thicknessVariation.noiseScale * this.modelScale }
+        };
+        
+        // Store the fresnel map and uniforms for later updates
         material.userData.fresnelMap = fresnelMap;
+        material.userData.uniforms = uniforms;
         
         // Override the material's onBeforeCompile to inject custom shader code
         material.onBeforeCompile = (shader) => {
-            // Add uniform for the fresnel map
-            shader.uniforms.thinFilmFresnelMap = { value: fresnelMap };
-            shader.uniforms.iridescenceBoost = { value: this.iridescenceBoost };
+            // Add uniforms for the fresnel map and film parameters
+            Object.assign(shader.uniforms, uniforms);
             
             // Store reference to texture sample offset for shader
             const textureSampleOffset = this.TEXTURE_SAMPLE_OFFSET;
             
+            // Pass the thickness source from the vertex to the fragment shader
+            shader.vertexShader = shader.vertexShader.replace(
+                '#include <common>',
+                `#include <common>
+                #if defined(THIN_FILM_THICKNESS_MAP)
+                    varying vec2 vThinFilmUv;
+                #elif defined(THIN_FILM_VERTEX_THICKNESS)
+                    #ifndef USE_COLOR
+                        attribute vec3 color;
+                    #endif
+                    varying float vThinFilmThickness;
+                #elif defined(THIN_FILM_NOISE_THICKNESS)
+                    varying vec3 vThinFilmPosition;
+                #endif`
+            );
+            
+            shader.vertexShader = shader.vertexShader.replace(
+                '#include <begin_vertex>',
+                `#include <begin_vertex>
+                #if defined(THIN_FILM_THICKNESS_MAP)
+                    vThinFilmUv = uv;
+                #elif defined(THIN_FILM_VERTEX_THICKNESS)
+                    vThinFilmThickness = dot(color, vec3(0.2126, 0.7152, 0.0722));
+                #elif defined(THIN_FILM_NOISE_THICKNESS)
+                    vThinFilmPosition = position;
+                #endif`
+            );
+            
             // Add to fragment shader - define uniform
             shader.fragmentShader = shader.fragmentShader.replace(
                 'uniform float roughness;',
                 `uniform float roughness;
                 uniform sampler2D thinFilmFresnelMap;
-                uniform float iridescenceBoost;`
+                uniform float filmThickness;
+                uniform float iridescenceBoost;
+                uniform float thicknessVariation;
+                ${ThinFilmFresnelMap.shaderChunk}
+                
+                #if defined(THIN_FILM_THICKNESS_MAP)
+                    uniform sampler2D thinFilmThicknessMap;
+                    varying vec2 vThinFilmUv;
+                #elif defined(THIN_FILM_VERTEX_THICKNESS)
+                    varying float vThinFilmThickness;
+                #elif defined(THIN_FILM_NOISE_THICKNESS)
+                    uniform float thinFilmNoiseScale;
+                    varying vec3 vThinFilmPosition;
+                    
+                    // Value noise, summed over a few octaves for soap-bubble like swirls
+                    float thinFilmHash(vec3 p) {
+                        p = fract(p * 0.3183099 + 0.1);
+                        p *= 17.0;
+                        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+                    }
+                    
+                    float thinFilmNoise(vec3 p) {
+                        vec3 i = floor(p);
+                        vec3 f = fract(p);
+                        f = f * f * (3.0 - 2.0 * f);
+                        return mix(mix(mix(thinFilmHash(i + vec3(0.0, 0.0, 0.0)), thinFilmHash(i + vec3(1.0, 0.0, 0.0)), f.x),
+                                       mix(thinFilmHash(i + vec3(0.0, 1.0, 0.0)), thinFilmHash(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+                                   mix(mix(thinFilmHash(i + vec3(0.0, 0.0, 1.0)), thinFilmHash(i + vec3(1.0, 0.0, 1.0)), f.x),
+                                       mix(thinFilmHash(i + vec3(0.0, 1.0, 1.0)), thinFilmHash(i + vec3(1.0, 1.0, 1.0)), f.x), f.y), f.z);
+                    }
+                    
+                    float thinFilmFbm(vec3 p) {
+                        float value = 0.0;
+                        float amplitude = 0.5;
+                        for (int i = 0; i < 4; i++) {
+                            value += amplitude * thinFilmNoise(p);
+                            p *= 2.03;
+                            amplitude *= 0.5;
+                        }
+                        return value / 0.9375;
+                    }
+                #endif
+                
+                // Film thickness at this fragment: the global thickness plus the local variation
+                float thinFilmLocalThickness() {
+                    float variation = 0.0; // -1 to 1
+                    #if defined(THIN_FILM_THICKNESS_MAP)
+                        variation = texture2D(thinFilmThicknessMap, vThinFilmUv).r * 2.0 - 1.0;
+                    #elif defined(THIN_FILM_VERTEX_THICKNESS)
+                        variation = vThinFilmThickness * 2.0 - 1.0;
+                    #elif defined(THIN_FILM_NOISE_THICKNESS)
+                        variation = thinFilmFbm(vThinFilmPosition * thinFilmNoiseScale) * 2.0 - 1.0;
+                    #endif
+                    return filmThickness + variation * thicknessVariation;
+                }`
             );
             
             // Apply iridescence colors as additive lighting
             // This approach adds the spectral colors on top of the base lighting
             shader.fragmentShader = shader.fragmentShader.replace(
-                '#include <opaque_fragment>',
+                '#include <output_fragment>',
                 `
                 // Calculate iridescence based on view angle
+                // (normal is set up by normal_fragment_begin, so flat shading works too)
+                // vViewPosition points from the fragment towards the camera
                 vec3 viewDir = normalize(vViewPosition);
-                vec3 worldNormal = normalize(vNormal);
-                float NdotV = max(dot(worldNormal, -viewDir), 0.0);
+                vec3 worldNormal = normalize(normal);
+                float NdotV = max(dot(worldNormal, viewDir), 0.0);
                 
                 // Sample iridescence texture with offset to hide glossy artifacts at boundaries
-                vec3 iridescence = texture2D(thinFilmFresnelMap, vec2(NdotV * ${textureSampleOffset.toFixed(2)}, 0.5)).rgb;
+                // The row of the lookup table is selected by the film thickness
+                vec2 thinFilmUv = vec2(NdotV * ${textureSampleOffset.toFixed(2)}, thinFilmThicknessCoord(thinFilmLocalThickness()));
+                vec3 iridescence = texture2D(thinFilmFresnelMap, thinFilmUv).rgb;
                 
                 // Gamma correct (texture is in gamma 2.0)
                 iridescence = iridescence * iridescence;
@@ -204,90 +738,486 @@ class ModelViewer {
                 float fresnelEffect = pow(1.0 - NdotV, 3.0);
                 outgoingLight += iridescence * iridescenceBoost * (0.5 + fresnelEffect);
                 
-                #include <opaque_fragment>
+                #include <output_fragment>
                 `
             );
             
             material.userData.shader = shader;
         };
         
+        this.configureThicknessSource(material, geometry);
+        
         // Store reference for thickness updates
         this.iridescenceMaterials.push(material);
         
         return material;
     }
 
+    /**
+     * Create a line or point material colored by the thin-film lookup table, for OBJ l/p elements
+     * Lines have no normal, so the angle between the view direction and the view axis stands in for NdotV
+     * @param {THREE.Material} [source] - Material loaded with the model, its color tints the lines
+     * @param {boolean} [isPoints] - Create a THREE.PointsMaterial instead of a THREE.LineBasicMaterial
+     * @returns {THREE.LineBasicMaterial|THREE.PointsMaterial}
+     */
+    createIridescenceLineMaterial(source = null, isPoints = false) {
+        const fresnelMap = this.getFresnelMap();
+        const material = isPoints ?
+            new THREE.PointsMaterial({ size: 3, sizeAttenuation: false }) :
+            new THREE.LineBasicMaterial();
+        
+        if (source) {
+            material.name = source.name;
+            material.vertexColors = source.vertexColors;
+            if (source.color) {
+                material.color.copy(source.color);
+            }
+        }
+        
+        // Same uniforms as the mesh materials, so the thickness and boost setters update lines too
+        const uniforms = {
+            thinFilmFresnelMap: { value: fresnelMap },
+            thinFilmThicknessRange: { value: fresnelMap.thicknessRange },
+            filmThickness: { value: this.filmThickness },
+            iridescenceBoost: { value: this.iridescenceBoost },
+            thicknessVariation: { value: this.thicknessVariation.amount },
+            thinFilmThicknessMap: { value: null },
+            thinFilmNoiseScale: { value: this.thicknessVariation.noiseScale * this.modelScale }
+        };
+        
+        material.userData.fresnelMap = fresnelMap;
+        material.userData.uniforms = uniforms;
+        
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, uniforms);
+            
+            shader.vertexShader = shader.vertexShader.replace(
+                '#include <common>',
+                `#include <common>
+                varying vec3 vThinFilmViewDir;`
+            ).replace(
+                '#include <project_vertex>',
+                `#include <project_vertex>
+                vThinFilmViewDir = -mvPosition.xyz;`
+            );
+            
+            shader.fragmentShader = shader.fragmentShader.replace(
+                '#include <common>',
+                `#include <common>
+                uniform sampler2D thinFilmFresnelMap;
+                uniform float filmThickness;
+                uniform float iridescenceBoost;
+                varying vec3 vThinFilmViewDir;
+                ${ThinFilmFresnelMap.shaderChunk}`
+            ).replace(
+                '#include <output_fragment>',
+                `
+                float NdotV = max(normalize(vThinFilmViewDir).z, 0.0);
+                vec3 iridescence = texture2D(thinFilmFresnelMap, vec2(NdotV * ${this.TEXTURE_SAMPLE_OFFSET.toFixed(2)}, thinFilmThicknessCoord(filmThickness))).rgb;
+                outgoingLight = diffuseColor.rgb * iridescence * iridescence * iridescenceBoost;
+                
+                #include <output_fragment>
+                `
+            );
+        };
+        
+        this.iridescenceMaterials.push(material);
+        
+        return material;
+    }
+
+    /**
+     * Pick where an iridescent material reads its thickness variation from
+     * 'auto' prefers OBJ vertex colors, then the thickness map, then procedural noise
+     * @param {THREE.MeshStandardMaterial} material - Material created by createIridescenceMaterial
+     * @param {THREE.BufferGeometry} [geometry] - Geometry the material is applied to
+     * @returns {string} The source that was applied
+     */
+    configureThicknessSource(material, geometry = null) {
+        const settings = this.thicknessVariation;
+        const hasColors = !!(geometry && geometry.getAttribute('color'));
+        const hasUvs = !!(geometry && geometry.getAttribute('uv'));
+        let source = settings.source;
+        
+        if (source === 'auto') {
+            source = hasColors ? 'vertexColor' : (settings.map && hasUvs ? 'texture' : 'noise');
+        } else if ((source === 'vertexColor' && !hasColors) || (source === 'texture' && (!settings.map || !hasUvs))) {
+            // The geometry can't provide the requested source
+            source = 'noise';
+        }
+        
+        const defines = {};
+        if (source === 'texture') defines.THIN_FILM_THICKNESS_MAP = '';
+        if (source === 'vertexColor') defines.THIN_FILM_VERTEX_THICKNESS = '';
+        if (source === 'noise') defines.THIN_FILM_NOISE_THICKNESS = '';
+        
+        material.defines = defines;
+        material.userData.thicknessSource = source;
+        material.userData.uniforms.thinFilmThicknessMap.value = source === 'texture' ? settings.map : null;
+        material.needsUpdate = true;
+        
+        return source;
+    }
+
+    /**
+     * Update how film thickness varies across the model
+     * @param {Object} settings - Any of source, amount (nm), noiseScale and map (see this.thicknessVariation)
+     */
+    setThicknessVariation(settings) {
+        const needsReconfigure = ('source' in settings && settings.source !== this.thicknessVariation.source) ||
+            ('map' in settings && settings.map !== this.thicknessVariation.map);
+        
+        Object.assign(this.thicknessVariation, settings);
+        
+        this.iridescenceMaterials.forEach(material => {
+            const uniforms = material.userData.uniforms;
+            uniforms.thicknessVariation.value = this.thicknessVariation.amount;
+            uniforms.thinFilmNoiseScale.value = this.thicknessVariation.noiseScale * this.modelScale;
+        });
+        
+        this.dispatchEvent({ type: 'change', setting: 'thicknessVariation', value: this.thicknessVariation.amount });
+        
+        // Changing the source switches shader defines, so the materials are set up again per mesh
+        if (needsReconfigure && this.model) {
+            this.model.traverse((child) => {
+                if (child.material && child.material.userData.uniforms) {
+                    this.configureThicknessSource(child.material, child.geometry);
+                }
+            });
+        }
+    }
+
+    /**
+     * Load a grayscale thickness texture (black = thinnest, white = thickest)
+     * @param {string} url - Texture URL
+     */
+    loadThicknessMap(url) {
+        new THREE.TextureLoader().load(url, (texture) => {
+            this.setThicknessVariation({ map: texture, source: 'texture' });
+        });
+    }
+
+    /**
+     * Get the shared thin-film lookup table, creating it on first use
+     * @returns {ThinFilmFresnelMap}
+     */
+    getFresnelMap() {
+        if (!this.fresnelMap) {
+            // Square table covering 200-1000nm, 64 angles x 64 thicknesses unless a forced quality tier says otherwise
+            const size = this.qualityGovernor ? this.qualityGovernor.getFresnelMapSize() : QualityGovernor.fresnelMapSize;
+            this.fresnelMap = new ThinFilmFresnelMap(this.filmThickness, 2.0, 3.0, size, size, 200, 1000);
+        }
+        return this.fresnelMap;
+    }
+
+    /**
+     * Replace the single film with a stack of thin-film layers (see ThinFilmFresnelMap.setLayers)
+     * @param {Array|null} layers - { thickness, refractiveIndex } objects, outermost first; null for a single film
+     * @param {number} [refractiveIndexBase] - Refractive index of the material under the stack
+     */
+    setFilmStack(layers, refractiveIndexBase) {
+        this.getFresnelMap().setLayers(layers, refractiveIndexBase);
+    }
+
     /**
      * Update all iridescent materials with new film thickness
+     * Only a uniform changes, so this is cheap enough to call every frame
      * @param {number} thickness - Film thickness in nanometers (200-1000)
      */
     updateFilmThickness(thickness) {
         this.filmThickness = thickness;
-        
-        this.iridescenceMaterials.forEach(material => {
-            const fresnelMap = material.userData.fresnelMap;
-            if (fresnelMap) {
-                fresnelMap.filmThickness = thickness;
-            }
-        });
+        this.applyFilmThickness(thickness);
         
         // Update thickness indicator
         this.updateThicknessIndicator(thickness);
+        
+        this.dispatchEvent({ type: 'change', setting: 'filmThickness', value: thickness });
     }
 
     /**
-     * Update the thickness indicator UI
+     * Write a thickness into the materials without changing the filmThickness setting, e.g. for audio modulation
      * @param {number} thickness - Film thickness in nanometers
      */
-    updateThicknessIndicator(thickness) {
-        const indicator = document.getElementById('gem-state-indicator');
-        if (indicator) {
-            indicator.textContent = `${Math.round(thickness)}nm`;
+    applyFilmThickness(thickness) {
+        if (this.fresnelMap) {
+            this.fresnelMap.filmThickness = thickness;
         }
+        
+        this.iridescenceMaterials.forEach(material => {
+            const uniforms = material.userData.uniforms;
+            if (uniforms) {
+                uniforms.filmThickness.value = thickness;
+            }
+        });
     }
 
-
-    loadModel() {
-        const loader = new THREE.OBJLoader();
-        const loadingScreen = document.getElementById('loading-screen');
-        const loadingText = document.getElementById('loading-text');
-        const progressBar = document.getElementById('progress-bar-fill');
+    /**
+     * Update the iridescence intensity of all materials
+     * @param {number} boost - Intensity multiplier
+     */
+    setIridescenceBoost(boost) {
+        this.iridescenceBoost = boost;
         
-        // Try to load the custom model
-        loader.load(
-            'atltvhead.obj',
+        this.iridescenceMaterials.forEach(material => {
+            material.userData.uniforms.iridescenceBoost.value = boost;
+        });
+        
+        this.dispatchEvent({ type: 'change', setting: 'iridescenceBoost', value: boost });
+    }
+
+    /**
+     * Set the film and base refractive indices, this regenerates the fresnel lookup table
+     * @param {number|string|Object} refractiveIndexFilm - Index of the thin film (see ThinFilmFresnelMap)
+     * @param {number|string|Object} refractiveIndexBase - Index of the material under the film
+     * @throws {Error} If an index is not a valid description, the current coating is kept
+     */
+    setRefractiveIndices(refractiveIndexFilm, refractiveIndexBase) {
+        ThinFilmFresnelMap.validateRefractiveIndex(refractiveIndexFilm);
+        ThinFilmFresnelMap.validateRefractiveIndex(refractiveIndexBase);
+
+        const fresnelMap = this.getFresnelMap();
+        fresnelMap.setLayers(null);
+        fresnelMap.updateSettings(this.filmThickness, refractiveIndexFilm, refractiveIndexBase);
+        this.coating = 'custom';
+        
+        this.dispatchEvent({ type: 'change', setting: 'refractiveIndex', value: [refractiveIndexFilm, refractiveIndexBase] });
+    }
+
+    /**
+     * Switch to one of the coatings in ThinFilmFresnelMap.presets
+     * @param {string} name - Preset name, e.g. 'anodized-titanium'
+     */
+    setCoatingPreset(name) {
+        if (!ThinFilmFresnelMap.presets[name]) {
+            console.warn(`Unknown coating preset "${name}"`);
+            return;
+        }
+        
+        this.getFresnelMap().applyPreset(name);
+        this.coating = name;
+        
+        this.dispatchEvent({ type: 'change', setting: 'coating', value: name });
+    }
+
+    /**
+     * Update a base property of all iridescent materials
+     * @param {string} name - 'color', 'metalness', 'roughness' or 'envMapIntensity'
+     * @param {number|string} value - New value, colors as CSS strings
+     */
+    setMaterialSetting(name, value) {
+        if (!(name in this.materialSettings)) {
+            console.warn(`Unknown material setting "${name}"`);
+            return;
+        }
+        
+        this.materialSettings[name] = value;
+        
+        this.iridescenceMaterials.forEach(material => {
+            // Line and point materials keep their own color
+            if (!material.isMeshStandardMaterial) {
+                return;
+            }
+            
+            if (name === 'color') {
+                material.color.set(value);
+            } else {
+                material[name] = value;
+            }
+        });
+        
+        this.dispatchEvent({ type: 'change', setting: name, value: value });
+    }
+
+    /**
+     * Set the tone-mapping exposure of the renderer
+     * @param {number} exposure - Exposure multiplier
+     */
+    setExposure(exposure) {
+        this.renderer.toneMappingExposure = exposure;
+        
+        this.dispatchEvent({ type: 'change', setting: 'exposure', value: exposure });
+    }
+
+    /**
+     * Change a post-processing setting
+     * @param {string} name - Setting name, e.g. 'bloomEnabled' or 'grainIntensity', see PostProcessing.getSettings()
+     * @param {number|boolean} value
+     */
+    setPostProcessing(name, value) {
+        if (!this.postProcessing.set(name, value)) {
+            console.warn(`Unknown post-processing setting: ${name}`);
+            return;
+        }
+        
+        this.dispatchEvent({ type: 'change', setting: name, value: value });
+    }
+
+    /**
+     * Render a PNG still at any resolution, independent of the window
+     * @param {Object} [options] - { width, height, transparent }, see ViewerCapture.captureStill
+     * @returns {Promise<Blob>} PNG image
+     */
+    captureStill(options) {
+        return this.capture.captureStill(options);
+    }
+
+    /**
+     * Record a 360° turn of the model as WebM or a zip of PNG frames, with a fixed timestep
+     * @param {Object} [options] - { width, height, transparent, format, duration, fps, onProgress },
+     *     see ViewerCapture.recordTurntable
+     * @returns {Promise<Blob>} WebM video or zip file
+     */
+    recordTurntable(options) {
+        return this.capture.recordTurntable(options);
+    }
+
+    /**
+     * Collect the current material settings, e.g. for saving a preset
+     * @returns {Object} JSON-serializable settings
+     */
+    getMaterialSettings() {
+        const fresnelMap = this.getFresnelMap();
+        
+        return {
+            filmThickness: this.filmThickness,
+            coating: this.coating,
+            refractiveIndexFilm: fresnelMap.refractiveIndexFilm,
+            refractiveIndexBase: fresnelMap.refractiveIndexBase,
+            iridescenceBoost: this.iridescenceBoost,
+            thicknessVariation: this.thicknessVariation.amount,
+            ...this.materialSettings,
+            exposure: this.renderer.toneMappingExposure,
+            environment: this.environment,
+            environmentBackground: this.environmentBackground,
+            ground: this.groundStage.mode,
+            groundOpacity: this.groundStage.opacity,
+            lightingPreset: this.lightingPreset,
+            lightTimeline: this.lightingRig.timeline.enabled,
+            timeScale: this.timeScale,
+            thicknessSweep: this.thicknessSweep.enabled,
+            ...this.postProcessing.getSettings()
+        };
+    }
+
+    /**
+     * Apply settings as returned by getMaterialSettings(), unknown or missing keys are ignored
+     * @param {Object} settings - Material settings
+     */
+    applyMaterialSettings(settings) {
+        const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+        
+        if (settings.coating && settings.coating !== 'custom' && ThinFilmFresnelMap.presets[settings.coating]) {
+            this.setCoatingPreset(settings.coating);
+        } else if (settings.refractiveIndexFilm !== undefined && settings.refractiveIndexBase !== undefined) {
+            this.setRefractiveIndices(settings.refractiveIndexFilm, settings.refractiveIndexBase);
+        }
+        
+        if (isNumber(settings.filmThickness)) {
+            this.updateFilmThickness(Math.max(200, Math.min(1000, settings.filmThickness)));
+        }
+        if (isNumber(settings.iridescenceBoost)) {
+            this.setIridescenceBoost(settings.iridescenceBoost);
+        }
+        if (isNumber(settings.thicknessVariation)) {
+            this.setThicknessVariation({ amount: settings.thicknessVariation });
+        }
+        if (typeof settings.color === 'string') {
+            this.setMaterialSetting('color', settings.color);
+        }
+        ['metalness', 'roughness', 'envMapIntensity'].forEach(name => {
+            if (isNumber(settings[name])) {
+                this.setMaterialSetting(name, settings[name]);
+            }
+        });
+        if (isNumber(settings.exposure)) {
+            this.setExposure(settings.exposure);
+        }
+        // Before the environment, the lighting preset sets the studio colors
+        if (LightingRig.presets[settings.lightingPreset] && settings.lightingPreset !== this.lightingPreset) {
+            this.setLightingPreset(settings.lightingPreset);
+        }
+        if (typeof settings.lightTimeline === 'boolean') {
+            this.setLightTimeline(settings.lightTimeline);
+        }
+        if (isNumber(settings.timeScale)) {
+            this.setTimeScale(settings.timeScale);
+        }
+        if (typeof settings.thicknessSweep === 'boolean') {
+            this.setThicknessSweep(settings.thicknessSweep);
+        }
+        // Dropped ('custom') environments can't be restored from a preset
+        if (ModelViewer.environments[settings.environment] && settings.environment !== this.environment) {
+            this.setEnvironment(settings.environment).catch(() => {});
+        }
+        if (typeof settings.environmentBackground === 'boolean') {
+            this.setEnvironmentBackground(settings.environmentBackground);
+        }
+        if (GroundStage.modes[settings.ground] || isNumber(settings.groundOpacity)) {
+            this.setGround(GroundStage.modes[settings.ground] ? settings.ground : this.groundStage.mode, {
+                opacity: isNumber(settings.groundOpacity) ? Math.max(0, Math.min(1, settings.groundOpacity)) : undefined
+            });
+        }
+        const postProcessing = this.postProcessing.getSettings();
+        Object.keys(postProcessing).forEach(name => {
+            const valid = typeof postProcessing[name] === 'boolean' ? typeof settings[name] === 'boolean' : isNumber(settings[name]);
+            if (valid) {
+                this.setPostProcessing(name, settings[name]);
+            }
+        });
+    }
+
+    /**
+     * Update the thickness indicator UI
+     * @param {number} thickness - Film thickness in nanometers
+     */
+    updateThicknessIndicator(thickness) {
+        const indicator = document.getElementById('gem-state-indicator');
+        if (indicator) {
+            indicator.textContent = `${Math.round(thickness)}nm`;
+        }
+    }
+
+
+    /**
+     * Load an OBJ or glTF/GLB model, falling back to the default geometry if it can't be loaded
+     * The format is picked by file extension
+     * @param {string} [url] - Model URL, defaults to this.modelUrl
+     */
+    loadModel(url = this.modelUrl) {
+        const isGltf = /\.(gltf|glb)$/i.test(url.split(/[?#]/)[0]);
+        const loadingScreen = document.getElementById('loading-screen');
+        const loadingText = document.getElementById('loading-text');
+        const progressBar = document.getElementById('progress-bar-fill');
+        
+        this.modelUrl = url;
+        
+        // Only the latest request is shown when another model is loaded or dropped meanwhile
+        const request = ++this.modelRequest;
+        const superseded = () => request !== this.modelRequest;
+        
+        // Try to load the custom model
+        const load = isGltf ? (...args) => new THREE.GLTFLoader().load(...args) : (...args) => this.loadObj(...args);
+        load(
+            url,
             // Success callback
-            (object) => {
-                this.model = object;
-                
-                // Center the model
-                const box = new THREE.Box3().setFromObject(object);
-                const center = box.getCenter(new THREE.Vector3());
-                object.position.sub(center);
-                
-                // Scale the model to fit in view and fill the frame more
-                const size = box.getSize(new THREE.Vector3());
-                const maxDim = Math.max(size.x, size.y, size.z);
-                const scale = 4.5 / maxDim;
-                object.scale.setScalar(scale);
-                
-                // Update camera and controls to center on the model
-                this.controls.target.set(0, 0, 0);
-                this.controls.update();
-                
-                // Apply iridescence material to all meshes
-                object.traverse((child) => {
-                    if (child instanceof THREE.Mesh) {
-                        child.material = this.createIridescenceMaterial(this.filmThickness);
-                        child.castShadow = true;
-                        child.receiveShadow = true;
-                    }
-                });
+            (result) => {
+                if (superseded()) {
+                    return;
+                }
                 
-                this.scene.add(object);
+                if (isGltf) {
+                    this.setModel(result.scene, result.animations, true);
+                } else {
+                    this.repairNormals(result);
+                    this.setModel(result);
+                }
                 
-                // Initialize thickness indicator
-                this.updateThicknessIndicator(this.filmThickness);
+                // Leave the parser's warnings up until they have been read
+                if (result.diagnostics && result.diagnostics.length > 0) {
+                    this.showLoadingDiagnostics(`Model loaded with ${this.formatDiagnosticCounts(result.diagnosticCounts)}`,
+                        result.diagnostics, result.diagnosticCounts);
+                    return;
+                }
                 
                 // Hide loading screen
                 loadingText.textContent = 'Model Loaded!';
@@ -296,17 +1226,36 @@ class ModelViewer {
                     loadingScreen.classList.add('hidden');
                 }, 500);
             },
-            // Progress callback
-            (xhr) => {
-                const percentComplete = (xhr.loaded / xhr.total) * 100;
+            // Progress callback, OBJ files report a download and a parse phase
+            (progress) => {
+                if (superseded()) {
+                    return;
+                }
+                
+                // glTF downloads report the compressed Content-Length of encoded responses as their total
+                const percentComplete = progress.total > 0 ? Math.min(progress.loaded / progress.total * 100, 100) : 0;
                 progressBar.style.width = percentComplete + '%';
-                loadingText.textContent = `Loading... ${Math.round(percentComplete)}%`;
+                loadingText.textContent = `${progress.phase === 'parse' ? 'Parsing' : 'Loading'}... ${Math.round(percentComplete)}%`;
             },
-            // Error callback - load a fallback cube
+            // Error callback - load a fallback cube, explaining why unless the model simply doesn't exist
             (error) => {
+                if (superseded()) {
+                    return;
+                }
+                
+                this.loadDefaultGeometry();
+                this.restoreUrlView();
+                
+                // GLTFLoader only reports the status in the message
+                if (error.status !== 404 && !/responded with 404/.test(error.message)) {
+                    console.error(`Failed to load ${url}:`, error);
+                    this.showLoadingDiagnostics(`Could not load ${url}, showing the default geometry`,
+                        error.diagnostics || [{ severity: 'error', code: 'load-failed', line: null, message: error.message }]);
+                    return;
+                }
+                
                 console.log('Custom model not found, loading default geometry');
                 loadingText.textContent = 'Loading default geometry...';
-                this.loadDefaultGeometry();
                 
                 setTimeout(() => {
                     loadingScreen.classList.add('hidden');
@@ -315,13 +1264,408 @@ class ModelViewer {
         );
     }
 
+    /**
+     * Load an OBJ file together with the MTL material libraries it references
+     * The file is downloaded and parsed in a worker, a missing or broken material library
+     * only loses the materials (and is listed in the diagnostics), the model still loads
+     * @param {string} url - OBJ URL
+     * @param {Function} onLoad - Called with the parsed THREE.Group, see THREE.OBJLoader.build for its diagnostics
+     * @param {Function} [onProgress] - Called with { phase: 'download'|'parse', loaded, total }
+     * @param {Function} [onError] - Called if the OBJ file can't be loaded or parsed (or has errors in strict mode),
+     *     or if onLoad throws
+     */
+    async loadObj(url, onLoad, onProgress, onError) {
+        try {
+            const basePath = THREE.LoaderUtils.extractUrlBase(url);
+            const state = await new OBJWorkerLoader().setStrict(this.strictObjParsing).load(url, onProgress);
+            const loader = new THREE.OBJLoader();
+            
+            if (state.materialLibraries.length > 0) {
+                try {
+                    const fileLoader = new THREE.FileLoader().setPath(basePath);
+                    const mtlTexts = await Promise.all(state.materialLibraries.map(library => fileLoader.loadAsync(library)));
+                    loader.setMaterials(this.createMaterialLibrary(mtlTexts, basePath));
+                } catch (error) {
+                    console.warn(`Could not load material library for ${url}, using default materials`, error);
+                    this.addObjWarning(state, 'missing-material-library',
+                        `Could not load ${state.materialLibraries.join(', ')}, using default materials.`);
+                }
+            }
+            
+            onLoad(loader.build(state));
+        } catch (error) {
+            // Building and showing the model fail the load too, instead of leaving the loading screen up
+            if (onError) {
+                onError(error);
+            } else {
+                console.error(`Failed to load ${url}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Add a problem found outside the parser (e.g. a missing MTL file) to an OBJ parser state
+     * so it is listed together with the parser's own diagnostics
+     * @param {Object} state - Parser state from OBJWorkerLoader, or the model OBJLoader.build made from it
+     * @param {string} code - Diagnostic code
+     * @param {string} message - Description shown on the loading screen
+     */
+    addObjWarning(state, code, message) {
+        state.diagnostics.push({ severity: 'warning', code, line: null, message });
+        state.diagnosticCounts.warning++;
+    }
+
+    /**
+     * Keep the loading screen up with the warnings and errors found while loading a model
+     * until the Continue button is pressed
+     * @param {string} title - Shown in place of the loading text
+     * @param {Object[]} diagnostics - { severity, code, line, message } entries, see THREE.OBJLoader
+     * @param {Object} [counts] - Totals per severity, the parser only keeps the first diagnostics
+     */
+    showLoadingDiagnostics(title, diagnostics, counts) {
+        const loadingScreen = document.getElementById('loading-screen');
+        const list = document.getElementById('loading-diagnostics');
+        const continueBtn = document.getElementById('loading-continue-btn');
+        
+        document.getElementById('loading-text').textContent = title;
+        list.innerHTML = '';
+        
+        diagnostics.forEach(diagnostic => {
+            const item = document.createElement('li');
+            item.className = diagnostic.severity;
+            item.textContent = diagnostic.line ? `Line ${diagnostic.line}: ${diagnostic.message}` : diagnostic.message;
+            list.appendChild(item);
+        });
+        
+        const omitted = counts ? counts.error + counts.warning - diagnostics.length : 0;
+        if (omitted > 0) {
+            const item = document.createElement('li');
+            item.textContent = `...and ${omitted} more`;
+            list.appendChild(item);
+        }
+        
+        loadingScreen.classList.add('has-diagnostics');
+        loadingScreen.classList.remove('hidden');
+        
+        continueBtn.onclick = () => {
+            loadingScreen.classList.add('hidden');
+            loadingScreen.classList.remove('has-diagnostics');
+        };
+    }
+
+    /**
+     * @param {{ error: number, warning: number }} counts - Diagnostics per severity
+     * @returns {string} e.g. "2 errors and 1 warning"
+     */
+    formatDiagnosticCounts(counts) {
+        return ['error', 'warning']
+            .filter(severity => counts[severity] > 0)
+            .map(severity => `${counts[severity]} ${severity}${counts[severity] === 1 ? '' : 's'}`)
+            .join(' and ');
+    }
+
+    /**
+     * Parse MTL files into materials for OBJLoader.setMaterials
+     * Kd, Ks, Ns, d, map_Kd and map_Bump become MeshPhongMaterial properties
+     * @param {string[]} mtlTexts - Contents of the MTL files
+     * @param {string} resourcePath - Path textures are loaded relative to
+     * @param {THREE.LoadingManager} [manager] - Manager for the texture loads
+     * @returns {THREE.MTLLoader.MaterialCreator}
+     */
+    createMaterialLibrary(mtlTexts, resourcePath, manager) {
+        const materials = new THREE.MTLLoader(manager).parse(mtlTexts.join('\n'), resourcePath);
+        materials.preload();
+        return materials;
+    }
+
+    /**
+     * Weld, re-orient and smooth the OBJ meshes that came with flat normals only (see MeshRepair),
+     * meshes with vn normals or smoothing groups are left as the file describes them
+     * Reversed triangles are added to the model's diagnostics
+     * @param {THREE.Object3D} object - Model as returned by OBJLoader
+     */
+    repairNormals(object) {
+        if (!this.meshRepair.enabled) {
+            return;
+        }
+        
+        const repair = new MeshRepair(this.meshRepair);
+        
+        object.traverse((child) => {
+            if (child.isMesh && child.geometry.userData.faceNormals) {
+                const result = repair.repair(child.geometry);
+                child.geometry.dispose();
+                child.geometry = result.geometry;
+                
+                if (result.flippedTriangles > 0) {
+                    this.addObjWarning(object, 'flipped-triangles',
+                        `${child.name || 'Mesh'}: reversed the winding of ${result.flippedTriangles} inconsistently oriented triangles.`);
+                }
+            }
+        });
+    }
+
+    /**
+     * Show a loaded model: center and scale it, apply the iridescent materials and add it to the scene
+     * Any previous model is removed and disposed
+     * @param {THREE.Object3D} object - Model as returned by OBJLoader, or the scene of a glTF file
+     * @param {THREE.AnimationClip[]} [animations] - glTF animations, all of them are played in a loop
+     * @param {boolean} [isGltf] - glTF models keep their own PBR materials unless overrideGltfMaterials is set
+     */
+    setModel(object, animations = [], isGltf = false) {
+        this.clearModel();
+        this.model = object;
+        
+        // Center the model
+        const box = new THREE.Box3().setFromObject(object);
+        const center = box.getCenter(new THREE.Vector3());
+        object.position.sub(center);
+        
+        // Scale the model to fit in view and fill the frame more
+        const size = box.getSize(new THREE.Vector3());
+        const maxDim = Math.max(size.x, size.y, size.z);
+        const scale = 4.5 / maxDim;
+        object.scale.setScalar(scale);
+        object.position.multiplyScalar(scale);
+        this.modelScale = scale;
+        
+        // Update camera and controls to center on the model
+        this.controls.target.set(0, 0, 0);
+        this.controls.update();
+        
+        // Keep the loaded materials so the iridescent ones can be swapped in and out
+        this.modelIsGltf = isGltf;
+        object.traverse((child) => {
+            if (child instanceof THREE.Mesh) {
+                child.userData.sourceMaterial = child.material;
+                child.castShadow = true;
+                child.receiveShadow = true;
+            } else if (child instanceof THREE.Line || child instanceof THREE.Points) {
+                // OBJ l/p elements
+                child.userData.sourceMaterial = child.material;
+            }
+        });
+        this.applyModelMaterials();
+        
+        if (animations.length > 0) {
+            this.mixer = new THREE.AnimationMixer(object);
+            animations.forEach(clip => this.mixer.clipAction(clip).play());
+        }
+        
+        this.scene.add(object);
+        this.groundStage.fit(object, animations.length > 0);
+        
+        // Initialize thickness indicator
+        this.updateThicknessIndicator(this.filmThickness);
+        this.restoreUrlView();
+        this.requestRender();
+    }
+
+    /**
+     * Give every mesh of the model either the iridescent material or the material it was loaded with
+     * OBJ models are iridescent, glTF models only with overrideGltfMaterials, in both cases
+     * limited to the materials matching iridescentMaterialPattern
+     */
+    applyModelMaterials() {
+        const meshes = [];
+        if (this.model) {
+            this.model.traverse((child) => {
+                if (child.userData.sourceMaterial) {
+                    meshes.push(child);
+                }
+            });
+        }
+        
+        // The default geometry has no loaded materials to switch between
+        if (meshes.length === 0) {
+            return;
+        }
+        
+        const pattern = this.iridescentMaterialPattern;
+        const useIridescence = (material) => (!this.modelIsGltf || this.overrideGltfMaterials) &&
+            (!pattern || pattern.test(material.name));
+        
+        // Iridescent materials from a previous call are replaced
+        this.iridescenceMaterials.forEach(material => material.dispose());
+        this.iridescenceMaterials = [];
+        
+        meshes.forEach((mesh) => {
+            const create = (source) => mesh instanceof THREE.Mesh ?
+                this.createIridescenceMaterial(this.filmThickness, mesh.geometry, source) :
+                this.createIridescenceLineMaterial(source, mesh instanceof THREE.Points);
+            const apply = (source) => useIridescence(source) ? create(source) : source;
+            
+            const source = mesh.userData.sourceMaterial;
+            mesh.material = Array.isArray(source) ? source.map(apply) : apply(source);
+        });
+    }
+
+    /**
+     * Switch glTF models between their own PBR materials and the iridescent material
+     * @param {boolean} enabled - true to use the iridescent material
+     */
+    setOverrideGltfMaterials(enabled) {
+        this.overrideGltfMaterials = enabled;
+        
+        if (this.modelIsGltf) {
+            this.applyModelMaterials();
+        }
+        
+        this.dispatchEvent({ type: 'change', setting: 'overrideGltfMaterials', value: enabled });
+    }
+
+    /**
+     * Limit the iridescent material to materials with matching names, e.g. /helmet/i
+     * so other parts of the model (like a TV screen) keep their own MTL material
+     * @param {RegExp|string|null} pattern - Regular expression (strings are case insensitive), null for all materials
+     */
+    setIridescentMaterialPattern(pattern) {
+        this.iridescentMaterialPattern = typeof pattern === 'string' ? new RegExp(pattern, 'i') : pattern;
+        this.applyModelMaterials();
+        
+        this.dispatchEvent({ type: 'change', setting: 'iridescentMaterialPattern', value: this.iridescentMaterialPattern });
+    }
+
+    /**
+     * Load a model from local files, e.g. dropped onto the canvas
+     * Needs one .obj, .gltf or .glb file, the .mtl/.bin files and textures it references are optional
+     * @param {FileList|File[]} fileList - Files to load
+     */
+    async loadModelFiles(fileList) {
+        const files = Array.from(fileList);
+        const modelFile = files.find(file => /\.(obj|gltf|glb)$/i.test(file.name));
+        const mtlFiles = files.filter(file => /\.mtl$/i.test(file.name));
+        const loadingScreen = document.getElementById('loading-screen');
+        const loadingText = document.getElementById('loading-text');
+        
+        if (!modelFile) {
+            console.warn('Dropped files do not include an .obj, .gltf or .glb model');
+            return;
+        }
+        
+        // A model still loading from a URL (or an earlier drop) is dropped when it arrives
+        const request = ++this.modelRequest;
+        const superseded = () => request !== this.modelRequest;
+        
+        loadingText.textContent = `Loading ${modelFile.name}...`;
+        loadingScreen.classList.remove('hidden', 'has-diagnostics');
+        
+        // Models reference textures and buffers by path, serve the dropped files by name instead
+        const fileUrls = new Map(files.map(file => [file.name.toLowerCase(), URL.createObjectURL(file)]));
+        const revokeUrls = () => fileUrls.forEach(url => URL.revokeObjectURL(url));
+        // The URLs are needed until the model is built and the textures it queued have loaded,
+        // the manager can finish in between when the MTL textures load before the model is parsed
+        let loading = false;
+        let built = false;
+        const manager = new THREE.LoadingManager(() => {
+            loading = false;
+            if (built) {
+                revokeUrls();
+            }
+        }, () => this.requestRender(), (url) => {
+            console.warn(`Missing file ${url}, drop it together with the model`);
+        });
+        manager.onStart = () => {
+            loading = true;
+        };
+        manager.setURLModifier((url) => {
+            const name = decodeURIComponent(url.replace(/\\/g, '/').split('/').pop()).toLowerCase();
+            return fileUrls.get(name) || url;
+        });
+        
+        let model = null;
+        let failure = null;
+        
+        try {
+            if (/\.obj$/i.test(modelFile.name)) {
+                const loader = new THREE.OBJLoader(manager);
+                
+                if (mtlFiles.length > 0) {
+                    const mtlTexts = await Promise.all(mtlFiles.map(file => file.text()));
+                    loader.setMaterials(this.createMaterialLibrary(mtlTexts, '', manager));
+                }
+                
+                const workerLoader = new OBJWorkerLoader().setStrict(this.strictObjParsing);
+                const state = await workerLoader.parse(await modelFile.arrayBuffer(), (progress) => {
+                    if (superseded()) {
+                        return;
+                    }
+                    loadingText.textContent = `Parsing ${modelFile.name}... ${Math.round(progress.loaded / progress.total * 100)}%`;
+                });
+                
+                if (state.materialLibraries.length > 0 && mtlFiles.length === 0) {
+                    this.addObjWarning(state, 'missing-material-library',
+                        `${state.materialLibraries.join(', ')} not dropped with the model, using default materials.`);
+                }
+                
+                if (superseded()) {
+                    revokeUrls();
+                    return;
+                }
+                
+                model = loader.build(state);
+                this.repairNormals(model);
+                this.setModel(model);
+            } else {
+                const data = await modelFile.arrayBuffer();
+                const gltf = await new Promise((resolve, reject) => {
+                    new THREE.GLTFLoader(manager).parse(data, '', resolve, reject);
+                });
+                
+                if (superseded()) {
+                    revokeUrls();
+                    return;
+                }
+                
+                this.setModel(gltf.scene, gltf.animations, true);
+            }
+            
+            // A local file can't be shared through the URL
+            this.modelUrl = null;
+            this.writeUrlState();
+        } catch (error) {
+            console.error(`Failed to load ${modelFile.name}:`, error);
+            failure = error;
+        }
+        
+        if (superseded()) {
+            revokeUrls();
+            return;
+        }
+        
+        // Without textures still loading the manager won't finish again
+        built = true;
+        if (!loading) {
+            revokeUrls();
+        }
+        
+        if (failure) {
+            this.showLoadingDiagnostics(`Could not load ${modelFile.name}`,
+                failure.diagnostics || [{ severity: 'error', code: 'load-failed', line: null, message: failure.message }]);
+            return;
+        }
+        
+        if (model && model.diagnostics.length > 0) {
+            this.showLoadingDiagnostics(`${modelFile.name} loaded with ${this.formatDiagnosticCounts(model.diagnosticCounts)}`,
+                model.diagnostics, model.diagnosticCounts);
+            return;
+        }
+        
+        loadingText.textContent = 'Model Loaded!';
+        setTimeout(() => {
+            loadingScreen.classList.add('hidden');
+        }, 500);
+    }
+
     loadDefaultGeometry() {
         // Create a default geometry if model file is not found
         const group = new THREE.Group();
+        group.name = 'default-geometry';
         
         // Create a stylized iridescent icosahedron
         const geometry = new THREE.IcosahedronGeometry(1.5, 0);
-        const material = this.createIridescenceMaterial(this.filmThickness);
+        this.modelScale = 1;
+        const material = this.createIridescenceMaterial(this.filmThickness, geometry);
         const mesh = new THREE.Mesh(geometry, material);
         mesh.castShadow = true;
         mesh.receiveShadow = true;
@@ -332,7 +1676,7 @@ class ModelViewer {
             const angle = (i / 4) * Math.PI * 2;
             const radius = 3;
             const smallGeo = new THREE.OctahedronGeometry(0.4, 0);
-            const smallMesh = new THREE.Mesh(smallGeo, this.createIridescenceMaterial(this.filmThickness));
+            const smallMesh = new THREE.Mesh(smallGeo, this.createIridescenceMaterial(this.filmThickness, smallGeo));
             smallMesh.position.x = Math.cos(angle) * radius;
             smallMesh.position.z = Math.sin(angle) * radius;
             smallMesh.castShadow = true;
@@ -341,17 +1685,240 @@ class ModelViewer {
         
         this.model = group;
         this.scene.add(group);
+        this.groundStage.fit(group);
         
         // Initialize thickness indicator
         this.updateThicknessIndicator(this.filmThickness);
+        this.requestRender();
+    }
+
+    /**
+     * Serialize the displayed model (or the default geometry) as OBJ + MTL text
+     * @param {Object} [options]
+     * @param {boolean} [options.bakeWorldTransform=false] - Write the model centered and scaled as displayed instead of in its own units
+     * @param {boolean} [options.iridescenceColors=false] - Write the thin-film color every vertex shows from the current camera as its vertex color
+     * @param {string} [options.materialLibrary='model.mtl'] - File name the OBJ references the MTL text by
+     * @returns {{ obj: string, mtl: string }|null} null while no model is loaded
+     */
+    exportModel(options = {}) {
+        if (!this.model) {
+            return null;
+        }
+        
+        return new OBJExporter().parse(this.model, {
+            bakeWorldTransform: !!options.bakeWorldTransform,
+            vertexColors: options.iridescenceColors ? (object) => this.computeIridescenceColors(object) : null,
+            materialLibrary: options.materialLibrary || 'model.mtl'
+        });
+    }
+
+    /**
+     * Thin-film color every vertex of a model part shows from the current camera, looked up like the shaders do
+     * (before lighting and the boost are applied). Vertices with a non-iridescent material get the material color
+     * @param {THREE.Mesh|THREE.Line|THREE.Points} object - Part of the displayed model
+     * @returns {Float32Array} rgb per vertex, in the gamma space of the lookup table
+     */
+    computeIridescenceColors(object) {
+        const geometry = object.geometry;
+        const position = geometry.getAttribute('position');
+        const normal = object.isMesh ? geometry.getAttribute('normal') : null;
+        const index = geometry.index;
+        const colors = new Float32Array(position.count * 3);
+        const shaded = new Uint8Array(position.count);
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        const groups = Array.isArray(object.material) && geometry.groups.length > 0 ?
+            geometry.groups : [{ start: 0, count: Infinity, materialIndex: 0 }];
+        
+        object.updateMatrixWorld(true);
+        const normalMatrix = new THREE.Matrix3().getNormalMatrix(object.matrixWorld);
+        const cameraPosition = this.camera.getWorldPosition(new THREE.Vector3());
+        const cameraBackward = this.camera.getWorldDirection(new THREE.Vector3()).negate();
+        const worldPosition = new THREE.Vector3();
+        const worldNormal = new THREE.Vector3();
+        const toCamera = new THREE.Vector3();
+        const color = new THREE.Color();
+        
+        const shade = (i, material) => {
+            const uniforms = material && material.userData.uniforms;
+            
+            if (!uniforms) {
+                color.set(material && material.color ? material.color : 0xffffff);
+            } else {
+                worldPosition.fromBufferAttribute(position, i).applyMatrix4(object.matrixWorld);
+                toCamera.subVectors(cameraPosition, worldPosition).normalize();
+                
+                // Lines have no normal, like in their shader the view axis stands in for it
+                const NdotV = normal ?
+                    worldNormal.fromBufferAttribute(normal, i).applyMatrix3(normalMatrix).normalize().dot(toCamera) :
+                    toCamera.dot(cameraBackward);
+                const thickness = uniforms.filmThickness.value +
+                    this.getThicknessVariationAt(material, geometry, i) * uniforms.thicknessVariation.value;
+                
+                uniforms.thinFilmFresnelMap.value.sample(Math.max(NdotV, 0) * this.TEXTURE_SAMPLE_OFFSET, thickness, color);
+            }
+            
+            color.toArray(colors, i * 3);
+            shaded[i] = 1;
+        };
+        
+        groups.forEach((group) => {
+            const end = Math.min(group.start + group.count, index ? index.count : position.count);
+            for (let j = group.start; j < end; j++) {
+                const i = index ? index.getX(j) : j;
+                if (!shaded[i]) {
+                    shade(i, materials[group.materialIndex]);
+                }
+            }
+        });
+        
+        // Vertices no element uses
+        for (let i = 0; i < position.count; i++) {
+            if (!shaded[i]) {
+                shade(i, materials[0]);
+            }
+        }
+        
+        return colors;
+    }
+
+    /**
+     * Film thickness variation of a vertex, the CPU side of thinFilmLocalThickness() in the shader
+     * @param {THREE.Material} material - Iridescent material, its thicknessSource picks the source
+     * @param {THREE.BufferGeometry} geometry - Geometry the material is applied to
+     * @param {number} i - Vertex index
+     * @returns {number} -1 (thinnest) to 1 (thickest)
+     */
+    getThicknessVariationAt(material, geometry, i) {
+        switch (material.userData.thicknessSource) {
+            case 'vertexColor': {
+                const color = geometry.getAttribute('color');
+                return (color.getX(i) * 0.2126 + color.getY(i) * 0.7152 + color.getZ(i) * 0.0722) * 2 - 1;
+            }
+            case 'noise': {
+                const scale = material.userData.uniforms.thinFilmNoiseScale.value;
+                const position = geometry.getAttribute('position');
+                return this.thinFilmFbm(position.getX(i) * scale, position.getY(i) * scale, position.getZ(i) * scale) * 2 - 1;
+            }
+            case 'texture': {
+                const uv = geometry.getAttribute('uv');
+                const texel = this.sampleTexture(material.userData.uniforms.thinFilmThicknessMap.value, uv.getX(i), uv.getY(i));
+                return texel === null ? 0 : texel * 2 - 1;
+            }
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * The shader's value noise fbm in JavaScript, see thinFilmFbm() in createIridescenceMaterial
+     * @returns {number} 0 to 1
+     */
+    thinFilmFbm(x, y, z) {
+        const fract = (value) => value - Math.floor(value);
+        const hash = (px, py, pz) => {
+            px = fract(px * 0.3183099 + 0.1) * 17.0;
+            py = fract(py * 0.3183099 + 0.1) * 17.0;
+            pz = fract(pz * 0.3183099 + 0.1) * 17.0;
+            return fract(px * py * pz * (px + py + pz));
+        };
+        const noise = (px, py, pz) => {
+            const ix = Math.floor(px), iy = Math.floor(py), iz = Math.floor(pz);
+            const fx = px - ix, fy = py - iy, fz = pz - iz;
+            const ux = fx * fx * (3 - 2 * fx), uy = fy * fy * (3 - 2 * fy), uz = fz * fz * (3 - 2 * fz);
+            const lerp = THREE.MathUtils.lerp;
+            const layer = (dz) => lerp(
+                lerp(hash(ix, iy, iz + dz), hash(ix + 1, iy, iz + dz), ux),
+                lerp(hash(ix, iy + 1, iz + dz), hash(ix + 1, iy + 1, iz + dz), ux), uy);
+            return lerp(layer(0), layer(1), uz);
+        };
+        
+        let value = 0;
+        let amplitude = 0.5;
+        for (let i = 0; i < 4; i++) {
+            value += amplitude * noise(x, y, z);
+            x *= 2.03;
+            y *= 2.03;
+            z *= 2.03;
+            amplitude *= 0.5;
+        }
+        return value / 0.9375;
+    }
+
+    /**
+     * Red channel of a texture at a uv coordinate (nearest texel, clamped)
+     * The pixels are read back through a canvas once and kept with the texture
+     * @returns {number|null} 0 to 1, null if the image can't be read
+     */
+    sampleTexture(texture, u, v) {
+        const image = texture && texture.image;
+        if (!image || !image.width) {
+            return null;
+        }
+        
+        if (!texture.userData.pixels) {
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width;
+            canvas.height = image.height;
+            const context = canvas.getContext('2d');
+            if (!context) {
+                return null;
+            }
+            context.drawImage(image, 0, 0);
+            texture.userData.pixels = context.getImageData(0, 0, image.width, image.height).data;
+        }
+        
+        const x = THREE.MathUtils.clamp(Math.floor(u * image.width), 0, image.width - 1);
+        // Textures are flipped on upload, v = 0 is the bottom row of the image
+        const y = THREE.MathUtils.clamp(Math.floor((texture.flipY ? 1 - v : v) * image.height), 0, image.height - 1);
+        return texture.userData.pixels[(y * image.width + x) * 4] / 255;
     }
 
     setupEventListeners() {
         // Handle window resize
         window.addEventListener('resize', () => {
+            // A capture owns the renderer size and restores it for the new window size when done
+            if (this.capturing) {
+                return;
+            }
+            
             this.camera.aspect = window.innerWidth / window.innerHeight;
             this.camera.updateProjectionMatrix();
             this.renderer.setSize(window.innerWidth, window.innerHeight);
+            this.postProcessing.setSize(window.innerWidth, window.innerHeight);
+            this.requestRender();
+        });
+        
+        // Redraw after anything that changes the picture: settings, camera moves, scrubbing
+        this.addEventListener('change', () => this.requestRender());
+        this.addEventListener('time', () => this.requestRender());
+        this.controls.addEventListener('change', () => this.requestRender());
+        
+        // Textures and buffers arrive after the model is shown
+        const defaultManager = THREE.DefaultLoadingManager;
+        const onProgress = defaultManager.onProgress;
+        defaultManager.onProgress = (...args) => {
+            if (onProgress) {
+                onProgress(...args);
+            }
+            this.requestRender();
+        };
+        
+        // Hidden tabs and a canvas scrolled out of view stop the loop completely
+        document.addEventListener('visibilitychange', () => this.updateVisibility());
+        if ('IntersectionObserver' in window) {
+            new IntersectionObserver((entries) => {
+                this.canvasOnScreen = entries[entries.length - 1].isIntersecting;
+                this.updateVisibility();
+            }).observe(this.renderer.domElement);
+        }
+        
+        // Space pauses and resumes the animation, unless it is typed into the editor
+        window.addEventListener('keydown', (e) => {
+            if (e.code !== 'Space' || (e.target.closest && e.target.closest('input, select, textarea, button'))) {
+                return;
+            }
+            e.preventDefault();
+            this.setPlaying(!this.playing);
         });
         
         // Handle scroll/wheel for film thickness adjustment
@@ -374,6 +1941,36 @@ class ModelViewer {
                     this.updateFilmThickness(this.filmThickness);
                 }
             }, { passive: false });
+            
+            // Drop .obj files (with optional .mtl and textures) to replace the model, .hdr/.exr files to replace
+            // the environment and audio files to make the model react to them
+            canvasContainer.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+                canvasContainer.classList.add('drag-over');
+            });
+            canvasContainer.addEventListener('dragleave', () => {
+                canvasContainer.classList.remove('drag-over');
+            });
+            canvasContainer.addEventListener('drop', (e) => {
+                e.preventDefault();
+                canvasContainer.classList.remove('drag-over');
+                const files = Array.from(e.dataTransfer.files);
+                const isEnvironment = (file) => /\.(hdr|exr)$/i.test(file.name);
+                const isAudio = (file) => /^audio\//.test(file.type) || /\.(mp3|wav|ogg|m4a|aac|flac)$/i.test(file.name);
+                const environmentFile = files.find(isEnvironment);
+                const audioFile = files.find(isAudio);
+                
+                if (environmentFile) {
+                    this.loadEnvironmentFile(environmentFile).catch(() => {});
+                }
+                if (audioFile) {
+                    this.startAudio(audioFile).catch(error => console.error(`Failed to play ${audioFile.name}:`, error));
+                }
+                if (files.some(file => !isEnvironment(file) && !isAudio(file))) {
+                    this.loadModelFiles(files);
+                }
+            });
         }
         
         // Handle info panel collapse
@@ -389,27 +1986,304 @@ class ModelViewer {
         }
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    /**
+     * Read the viewer state from the URL hash
+     * Format: #cam=x,y,z&target=x,y,z&thickness=380&boost=15&model=atltvhead.obj (or a .gltf/.glb model)
+     * @returns {Object} Valid entries only, vectors as THREE.Vector3
+     */
+    readUrlState() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const state = {};
+        
+        const readVector = (value) => {
+            const parts = (value || '').split(',').map(Number);
+            return parts.length === 3 && parts.every(Number.isFinite) ? new THREE.Vector3().fromArray(parts) : null;
+        };
+        const readNumber = (value) => {
+            const number = parseFloat(value);
+            return Number.isFinite(number) ? number : null;
+        };
+        
+        const camera = readVector(params.get('cam'));
+        const target = readVector(params.get('target'));
+        const thickness = readNumber(params.get('thickness'));
+        const boost = readNumber(params.get('boost'));
+        const model = params.get('model');
+        
+        if (camera) state.camera = camera;
+        if (target) state.target = target;
+        if (thickness !== null) state.filmThickness = Math.max(200, Math.min(1000, thickness));
+        if (boost !== null) state.iridescenceBoost = Math.max(0, boost);
+        
+        // Only models relative to this site, a shared link shouldn't pull in files from elsewhere
+        if (model && /^(?!\/)(?!.*\.\.)[\w\-./]+\.(obj|gltf|glb)$/i.test(model)) {
+            state.model = model;
+        }
+        
+        return state;
+    }
+
+    /**
+     * Write the current view into the URL hash
+     * replaceState keeps every camera move from adding a history entry
+     */
+    writeUrlState() {
+        const round = (value) => parseFloat(value.toFixed(3));
+        const vector = (v) => [v.x, v.y, v.z].map(round).join(',');
+        
+        const params = new URLSearchParams();
+        params.set('cam', vector(this.camera.position));
+        params.set('target', vector(this.controls.target));
+        params.set('thickness', Math.round(this.filmThickness));
+        params.set('boost', round(this.iridescenceBoost));
+        if (this.modelUrl) {
+            params.set('model', this.modelUrl);
+        }
+        
+        // URLSearchParams escapes the commas and slashes, which is valid but hard to read in a link
+        const hash = '#' + params.toString().replace(/%2C/g, ',').replace(/%2F/g, '/');
+        if (hash !== window.location.hash) {
+            history.replaceState(null, '', hash);
+        }
+    }
+
+    /**
+     * Write the URL state once the view has settled, camera moves fire many change events
+     */
+    scheduleUrlStateWrite() {
+        if (!this.urlStateEnabled) {
+            return;
+        }
         
-        // Update controls
+        clearTimeout(this.urlStateTimeout);
+        this.urlStateTimeout = setTimeout(() => this.writeUrlState(), 250);
+    }
+
+    /**
+     * Apply the thickness, boost and model from a URL state (see readUrlState)
+     * @param {Object} state - Parsed URL state
+     */
+    applyUrlSettings(state) {
+        if (state.filmThickness !== undefined) {
+            if (this.renderer) {
+                this.updateFilmThickness(state.filmThickness);
+            } else {
+                this.filmThickness = state.filmThickness;
+            }
+        }
+        if (state.iridescenceBoost !== undefined) {
+            if (this.renderer) {
+                this.setIridescenceBoost(state.iridescenceBoost);
+            } else {
+                this.iridescenceBoost = state.iridescenceBoost;
+            }
+        }
+        if (state.model) {
+            this.modelUrl = state.model;
+        }
+    }
+
+    /**
+     * Move the camera to the position stored in the URL, called once the model has loaded
+     * (loading re-centers the controls, which would undo an earlier restore)
+     */
+    restoreUrlView() {
+        const state = this.urlState;
+        
+        if (state.camera) {
+            this.camera.position.copy(state.camera);
+        }
+        if (state.target) {
+            this.controls.target.copy(state.target);
+        }
         this.controls.update();
         
-        // Auto-rotate the model slightly
-        if (this.model) {
-            this.model.rotation.y += 0.001;
+        // The linked view only applies to the first model, later models keep the current camera
+        this.urlState = {};
+        
+        // From here on the URL follows the view
+        this.urlStateEnabled = true;
+        this.writeUrlState();
+    }
+
+    setupUrlState() {
+        this.controls.addEventListener('change', () => this.scheduleUrlStateWrite());
+        this.addEventListener('change', (event) => {
+            if (event.setting === 'filmThickness' || event.setting === 'iridescenceBoost') {
+                this.scheduleUrlStateWrite();
+            }
+        });
+        
+        // Follow links pasted into the address bar of an open viewer
+        window.addEventListener('hashchange', () => {
+            const state = this.readUrlState();
+            const modelChanged = state.model && state.model !== this.modelUrl;
+            
+            this.urlState = state;
+            this.applyUrlSettings(state);
+            
+            if (modelChanged) {
+                this.urlStateEnabled = false;
+                this.clearModel();
+                this.loadModel(state.model);
+            } else {
+                this.restoreUrlView();
+            }
+        });
+    }
+
+    /**
+     * Remove the current model from the scene and free its GPU resources
+     */
+    clearModel() {
+        if (!this.model) {
+            return;
+        }
+        
+        // Textures owned by the viewer are reused by the next model
+        const sharedTextures = [this.envMap, this.thicknessVariation.map, this.fresnelMap];
+        
+        const disposeMaterials = (materials) => {
+            (Array.isArray(materials) ? materials : [materials]).forEach(material => {
+                Object.values(material).forEach(value => {
+                    if (value && value.isTexture && !sharedTextures.includes(value)) {
+                        value.dispose();
+                    }
+                });
+                material.dispose();
+            });
+        };
+        
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+            this.mixer.uncacheRoot(this.model);
+            this.mixer = null;
         }
         
-        // Render the scene
-        this.renderer.render(this.scene, this.camera);
+        this.scene.remove(this.model);
+        this.model.traverse((child) => {
+            if (child.geometry) {
+                child.geometry.dispose();
+            }
+            if (child.material) {
+                disposeMaterials(child.material);
+            }
+            if (child.userData.sourceMaterial && child.userData.sourceMaterial !== child.material) {
+                disposeMaterials(child.userData.sourceMaterial);
+            }
+        });
+        
+        // Release the lookup table's GPU copy as well, it is uploaded again for the next model
+        if (this.fresnelMap) {
+            this.fresnelMap.dispose();
+        }
+        
+        this.model = null;
+        this.modelIsGltf = false;
+        this.iridescenceMaterials = [];
+    }
+
+    /**
+     * Ask for a frame, e.g. after a change; the loop only keeps running while something moves, see isAnimating()
+     */
+    requestRender() {
+        this.needsRender = true;
+        
+        if (this.frameRequest === null && this.visible && !this.capturing) {
+            // Coming back from idle or a hidden page, the pause should not show up as one long frame
+            this.clock.getDelta();
+            this.looping = false;
+            this.frameRequest = requestAnimationFrame(() => this.animate());
+        }
+    }
+
+    /**
+     * @returns {boolean} True while the picture changes by itself from frame to frame
+     */
+    isAnimating() {
+        const timeRuns = this.playing && this.timeScale > 0;
+        
+        return !this.renderOnDemand ||
+            !!(this.audio && this.audio.active) ||
+            (timeRuns && (
+                (this.model !== null && this.autoRotateSpeed !== 0) ||
+                this.thicknessSweep.enabled ||
+                this.mixer !== null ||
+                this.lightingRig.isAnimating() ||
+                this.postProcessing.isAnimated()
+            ));
+    }
+
+    updateVisibility() {
+        const visible = !document.hidden && this.canvasOnScreen;
+        if (visible === this.visible) {
+            return;
+        }
+        
+        this.visible = visible;
+        if (!visible) {
+            if (this.frameRequest !== null) {
+                cancelAnimationFrame(this.frameRequest);
+                this.frameRequest = null;
+            }
+        } else {
+            this.requestRender();
+        }
+    }
+
+    animate() {
+        // Captures render their own frames with a fixed timestep and ask for one when done
+        if (this.capturing) {
+            this.frameRequest = null;
+            return;
+        }
+        
+        // Update controls, true while the camera still glides after a drag (damping)
+        const cameraMoving = this.controls.update();
+        
+        // Advance the animation time
+        const delta = this.clock.getDelta();
+        if (this.playing) {
+            this.time += (this.fixedTimeStep || delta) * this.timeScale;
+        }
+        
+        // Sound input scales the lights, so it goes before the rig writes them
+        this.updateAudio(delta);
+        
+        // Rotation, thickness sweep, lights and glTF animations at the new time
+        this.setTime(this.time);
+        
+        // Render the scene through the enabled effects, timed for the quality governor
+        this.needsRender = false;
+        this.qualityGovernor.beginFrame();
+        this.postProcessing.render(this.time);
+        this.qualityGovernor.endFrame(delta, this.looping);
+        
+        this.frameRequest = null;
+        this.looping = cameraMoving || this.needsRender || this.isAnimating();
+        if (this.looping) {
+            this.frameRequest = requestAnimationFrame(() => this.animate());
+        }
     }
 }
 
+/**
+ * Bundled environments, see setEnvironment()
+ * Entries have the url of an equirectangular .hdr/.exr image or are the procedural StudioEnvironment
+ */
+ModelViewer.environments = {
+    studio: { label: 'Studio (procedural)', procedural: true },
+    neon: { label: 'Neon studio', url: 'environments/neon.hdr' },
+    sunset: { label: 'Sunset', url: 'environments/sunset.hdr' },
+    overcast: { label: 'Overcast sky', url: 'environments/overcast.exr' }
+};
+
 // Initialize the viewer when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     // Check if Three.js is loaded
     if (typeof THREE !== 'undefined') {
         const viewer = new ModelViewer();
+        new MaterialEditor(viewer);
     } else {
         console.error('Three.js library not loaded!');
         const loadingText = document.getElementById('loading-text');
@@ -18,6 +18,287 @@
 
 	const _cb = new THREE.Vector3();
 
+	// Free-form curve and surface statements, see addFreeformStatement()
+	const _freeform_pattern = /^(cstype|deg|bmat|step|curv2?|surf|parm|trim|hole|scrv|sp|end|con)(\s|$)/;
+
+	// Broken files can have a problem on every line, only the first diagnostics are kept
+	const _max_diagnostics = 100;
+
+	// Replaces the flat face normals of faces in smoothing groups with normals averaged over the
+	// faces that share a vertex and a smoothing group, faces in different groups keep a hard edge
+	function smoothGroupNormals( geometry, vertices ) {
+
+		const groups = geometry.smoothingGroups;
+		const indices = geometry.vertexIndices;
+		const normals = geometry.normals;
+		const vertexCount = vertices.length / 3;
+		const sums = new Map();
+
+		for ( let f = 0, l = groups.length; f < l; f ++ ) {
+
+			const group = groups[ f ];
+			if ( group <= 0 ) continue;
+
+			_vA.fromArray( vertices, indices[ f * 3 ] );
+
+			_vB.fromArray( vertices, indices[ f * 3 + 1 ] );
+
+			_vC.fromArray( vertices, indices[ f * 3 + 2 ] );
+
+			_cb.subVectors( _vC, _vB );
+
+			_ab.subVectors( _vA, _vB );
+
+			_cb.cross( _ab ); // not normalized, larger faces weigh more
+
+
+			for ( let k = 0; k < 3; k ++ ) {
+
+				const key = indices[ f * 3 + k ] / 3 + group * vertexCount;
+				let sum = sums.get( key );
+
+				if ( sum === undefined ) {
+
+					sum = new THREE.Vector3();
+					sums.set( key, sum );
+
+				}
+
+				sum.add( _cb );
+
+			}
+
+		}
+
+		sums.forEach( sum => sum.normalize() );
+
+		for ( let f = 0, l = groups.length; f < l; f ++ ) {
+
+			const group = groups[ f ];
+			if ( group <= 0 ) continue;
+
+			for ( let k = 0; k < 3; k ++ ) {
+
+				const sum = sums.get( indices[ f * 3 + k ] / 3 + group * vertexCount );
+				sum.toArray( normals, ( f * 3 + k ) * 3 );
+
+			}
+
+		}
+
+	}
+
+	// Free-form curves and surfaces, see "The NURBS Book" (Piegl, Tiller) algorithms A2.1 and A2.2
+	// Bezier elements list their segment breakpoints in "parm", which maps to a B-spline knot vector
+	// with every inner breakpoint repeated degree times
+	function toKnotVector( type, degree, parm, count, state ) {
+
+		if ( parm === undefined || ! ( count > degree ) || count !== Math.floor( count ) ) {
+
+			state.addDiagnostic( 'warning', 'unsupported', 'Free-form element without a matching "parm" statement, skipping it.' );
+			return null;
+
+		}
+
+		if ( type === 'bspline' ) {
+
+			if ( parm.length !== count + degree + 1 ) {
+
+				state.addDiagnostic( 'warning', 'unsupported', 'B-spline needs ' + ( count + degree + 1 ) + ' knots, found ' + parm.length + ', skipping it.' );
+				return null;
+
+			}
+
+			return parm;
+
+		}
+
+		const knots = [];
+
+		for ( let i = 0; i < parm.length; i ++ ) {
+
+			const multiplicity = i === 0 || i === parm.length - 1 ? degree + 1 : degree;
+
+			for ( let j = 0; j < multiplicity; j ++ ) knots.push( parm[ i ] );
+
+		}
+
+		return knots.length === count + degree + 1 ? knots : null;
+
+	}
+
+	function findSpan( n, degree, u, knots ) {
+
+		if ( u >= knots[ n + 1 ] ) return n;
+		if ( u <= knots[ degree ] ) return degree;
+		let low = degree;
+		let high = n + 1;
+		let mid = Math.floor( ( low + high ) / 2 );
+
+		while ( u < knots[ mid ] || u >= knots[ mid + 1 ] ) {
+
+			if ( u < knots[ mid ] ) {
+
+				high = mid;
+
+			} else {
+
+				low = mid;
+
+			}
+
+			mid = Math.floor( ( low + high ) / 2 );
+
+		}
+
+		return mid;
+
+	}
+
+	function basisFunctions( span, u, degree, knots ) {
+
+		const N = [ 1 ];
+		const left = [];
+		const right = [];
+
+		for ( let j = 1; j <= degree; j ++ ) {
+
+			left[ j ] = u - knots[ span + 1 - j ];
+			right[ j ] = knots[ span + j ] - u;
+			let saved = 0;
+
+			for ( let r = 0; r < j; r ++ ) {
+
+				const temp = N[ r ] / ( right[ r + 1 ] + left[ j - r ] );
+				N[ r ] = saved + right[ r + 1 ] * temp;
+				saved = left[ j - r ] * temp;
+
+			}
+
+			N[ j ] = saved;
+
+		}
+
+		return N;
+
+	}
+
+	// points are homogeneous [ x * w, y * w, z * w, w ]
+	function evaluateCurve( degree, knots, points, u ) {
+
+		const span = findSpan( points.length - 1, degree, u, knots );
+		const N = basisFunctions( span, u, degree, knots );
+		const result = [ 0, 0, 0, 0 ];
+
+		for ( let j = 0; j <= degree; j ++ ) {
+
+			const point = points[ span - degree + j ];
+
+			for ( let k = 0; k < 4; k ++ ) result[ k ] += N[ j ] * point[ k ];
+
+		}
+
+		return [ result[ 0 ] / result[ 3 ], result[ 1 ] / result[ 3 ], result[ 2 ] / result[ 3 ] ];
+
+	}
+
+	function evaluateSurface( degreeU, degreeV, knotsU, knotsV, points, countU, u, v ) {
+
+		const countV = points.length / countU;
+		const spanU = findSpan( countU - 1, degreeU, u, knotsU );
+		const spanV = findSpan( countV - 1, degreeV, v, knotsV );
+		const Nu = basisFunctions( spanU, u, degreeU, knotsU );
+		const Nv = basisFunctions( spanV, v, degreeV, knotsV );
+		const result = [ 0, 0, 0, 0 ];
+
+		for ( let j = 0; j <= degreeV; j ++ ) {
+
+			for ( let i = 0; i <= degreeU; i ++ ) {
+
+				// control points are listed with u varying fastest
+				const point = points[ ( spanV - degreeV + j ) * countU + spanU - degreeU + i ];
+				const weight = Nu[ i ] * Nv[ j ];
+
+				for ( let k = 0; k < 4; k ++ ) result[ k ] += weight * point[ k ];
+
+			}
+
+		}
+
+		return new THREE.Vector3( result[ 0 ] / result[ 3 ], result[ 1 ] / result[ 3 ], result[ 2 ] / result[ 3 ] );
+
+	}
+
+	function tessellateSurface( geometry, degreeU, degreeV, knotsU, knotsV, points, countU, range ) {
+
+		const countV = points.length / countU;
+		const segmentsU = Math.min( 64, Math.max( 8, ( countU - degreeU ) * 8 ) );
+		const segmentsV = Math.min( 64, Math.max( 8, ( countV - degreeV ) * 8 ) );
+		const grid = [];
+
+		for ( let j = 0; j <= segmentsV; j ++ ) {
+
+			const v = range[ 2 ] + ( range[ 3 ] - range[ 2 ] ) * j / segmentsV;
+
+			for ( let i = 0; i <= segmentsU; i ++ ) {
+
+				const u = range[ 0 ] + ( range[ 1 ] - range[ 0 ] ) * i / segmentsU;
+				grid.push( evaluateSurface( degreeU, degreeV, knotsU, knotsV, points, countU, u, v ) );
+
+			}
+
+		}
+
+		// normals from the neighbouring grid points
+		const normals = [];
+		const du = new THREE.Vector3();
+		const dv = new THREE.Vector3();
+
+		for ( let j = 0; j <= segmentsV; j ++ ) {
+
+			for ( let i = 0; i <= segmentsU; i ++ ) {
+
+				const row = j * ( segmentsU + 1 );
+				du.subVectors( grid[ row + Math.min( i + 1, segmentsU ) ], grid[ row + Math.max( i - 1, 0 ) ] );
+				dv.subVectors( grid[ Math.min( j + 1, segmentsV ) * ( segmentsU + 1 ) + i ], grid[ Math.max( j - 1, 0 ) * ( segmentsU + 1 ) + i ] );
+				const normal = new THREE.Vector3().crossVectors( du, dv );
+				normals.push( normal.lengthSq() > 0 ? normal.normalize() : normal.set( 0, 0, 1 ) );
+
+			}
+
+		}
+
+		const addCorner = ( i, j ) => {
+
+			const index = j * ( segmentsU + 1 ) + i;
+			geometry.vertices.push( grid[ index ].x, grid[ index ].y, grid[ index ].z );
+			geometry.normals.push( normals[ index ].x, normals[ index ].y, normals[ index ].z );
+			geometry.uvs.push( i / segmentsU, j / segmentsV );
+			if ( geometry.colors.length > 0 ) geometry.colors.push( 1, 1, 1 );
+
+		};
+
+		for ( let j = 0; j < segmentsV; j ++ ) {
+
+			for ( let i = 0; i < segmentsU; i ++ ) {
+
+				addCorner( i, j );
+				addCorner( i + 1, j );
+				addCorner( i, j + 1 );
+				addCorner( i + 1, j );
+				addCorner( i + 1, j + 1 );
+				addCorner( i, j + 1 );
+				geometry.smoothingGroups.push( - 1, - 1 );
+				geometry.vertexIndices.push( - 1, - 1, - 1, - 1, - 1, - 1 );
+
+			}
+
+		}
+
+		geometry.hasUVIndices = true;
+
+	}
+
 	function ParserState() {
 
 		const state = {
@@ -27,8 +308,22 @@
 			normals: [],
 			colors: [],
 			uvs: [],
+			vertexWeights: {},
 			materials: {},
 			materialLibraries: [],
+			hasSmoothingGroups: false,
+			freeform: {
+				type: 'bspline',
+				rational: false,
+				degree: [ 1, 1 ],
+				element: null
+			},
+			diagnostics: [],
+			diagnosticCounts: {
+				error: 0,
+				warning: 0
+			},
+			lineNumber: 0,
 			startObject: function ( name, fromDeclaration ) {
 
 				// If the current object (initial from reset) is not from a g/o declaration in the parsed
@@ -42,6 +337,7 @@
 				}
 
 				const previousMaterial = this.object && typeof this.object.currentMaterial === 'function' ? this.object.currentMaterial() : undefined;
+				const previousSmoothingGroup = this.object && this.object.smoothingGroup !== undefined ? this.object.smoothingGroup : 0;
 
 				if ( this.object && typeof this.object._finalize === 'function' ) {
 
@@ -57,10 +353,17 @@
 						normals: [],
 						colors: [],
 						uvs: [],
-						hasUVIndices: false
+						hasUVIndices: false,
+						hasNormalIndices: false,
+						hasFaceNormals: false,
+						smoothingGroups: [],
+						vertexIndices: []
 					},
 					materials: [],
 					smooth: true,
+					smoothingGroup: previousSmoothingGroup,
+					hasSmoothFaces: false,
+					usemap: null,
 					startMaterial: function ( name, libraries ) {
 
 						const previous = this._finalize( false ); // New usemtl declaration overwrites an inherited material, except if faces were declared
@@ -78,6 +381,8 @@
 							name: name || '',
 							mtllib: Array.isArray( libraries ) && libraries.length > 0 ? libraries[ libraries.length - 1 ] : '',
 							smooth: previous !== undefined ? previous.smooth : this.smooth,
+							usemap: this.usemap,
+							line: undefined,
 							groupStart: previous !== undefined ? previous.groupEnd : 0,
 							groupEnd: - 1,
 							groupCount: - 1,
@@ -89,6 +394,8 @@
 									name: this.name,
 									mtllib: this.mtllib,
 									smooth: this.smooth,
+									usemap: this.usemap,
+									line: this.line,
 									groupStart: 0,
 									groupEnd: - 1,
 									groupCount: - 1,
@@ -165,6 +472,7 @@
 					const declared = previousMaterial.clone( 0 );
 					declared.inherited = true;
 					this.object.materials.push( declared );
+					this.object.usemap = declared.usemap;
 
 				}
 
@@ -179,6 +487,42 @@
 
 				}
 
+				if ( this.hasSmoothingGroups ) {
+
+					for ( let i = 0, l = this.objects.length; i < l; i ++ ) {
+
+						const object = this.objects[ i ];
+						if ( object.geometry.type === 'Line' || object.geometry.type === 'Points' ) continue;
+						smoothGroupNormals( object.geometry, this.vertices );
+
+						// The normals are split per smoothing group already, flat shading is only
+						// needed for materials whose faces are all outside of smoothing groups
+						for ( let mi = 0, ml = object.materials.length; mi < ml; mi ++ ) {
+
+							const material = object.materials[ mi ];
+							material.smooth = ml === 1 ? object.hasSmoothFaces : material.hasSmoothFaces === true;
+
+						}
+
+					}
+
+				}
+
+			},
+			setGeometryType: function ( type ) {
+
+				const geometry = this.object.geometry;
+
+				if ( ( geometry.type || 'Mesh' ) !== type && geometry.vertices.length > 0 ) {
+
+					// Faces, lines and points can't share a geometry, continue in a new object with the same name
+					this.object.fromDeclaration = true;
+					this.startObject( this.object.name, true );
+
+				}
+
+				this.object.geometry.type = type;
+
 			},
 			parseVertexIndex: function ( value, len ) {
 
@@ -197,6 +541,72 @@
 				const index = parseInt( value, 10 );
 				return ( index >= 0 ? index - 1 : index + len / 2 ) * 2;
 
+			},
+			addDiagnostic: function ( severity, code, message ) {
+
+				this.diagnosticCounts[ severity ] ++;
+				if ( this.diagnostics.length >= _max_diagnostics ) return;
+				this.diagnostics.push( {
+					severity: severity,
+					code: code,
+					line: this.lineNumber,
+					message: message
+				} );
+
+			},
+			checkIndex: function ( value, len, size, kind ) {
+
+				// 1-based, negative indices count back from the last element defined so far
+				const index = parseInt( value, 10 );
+				const count = len / size;
+				if ( index > 0 ? index <= count : index < 0 && - index <= count ) return true;
+				this.addDiagnostic( 'error', 'bad-index', kind + ' index "' + value + '" is out of range, ' + count + ' defined so far. Skipping the element.' );
+				return false;
+
+			},
+			checkIndices: function ( values, len, size, kind ) {
+
+				for ( let i = 0, l = values.length; i < l; i ++ ) {
+
+					if ( ! this.checkIndex( values[ i ], len, size, kind ) ) return false;
+
+				}
+
+				return true;
+
+			},
+			checkFace: function ( faceVertices ) {
+
+				for ( let i = 0, l = faceVertices.length; i < l; i ++ ) {
+
+					const parts = faceVertices[ i ];
+					if ( ! this.checkIndex( parts[ 0 ], this.vertices.length, 3, 'Vertex' ) ) return false;
+					if ( parts[ 1 ] !== undefined && parts[ 1 ] !== '' && ! this.checkIndex( parts[ 1 ], this.uvs.length, 2, 'Texture coordinate' ) ) return false;
+					if ( parts[ 2 ] !== undefined && parts[ 2 ] !== '' && ! this.checkIndex( parts[ 2 ], this.normals.length, 3, 'Normal' ) ) return false;
+
+				}
+
+				return true;
+
+			},
+			checkCoordinates: function ( array, count, kind ) {
+
+				// NaN would end up in the bounding box and hide the whole model, zero keeps the indices in sync
+				let valid = true;
+
+				for ( let i = array.length - count, l = array.length; i < l; i ++ ) {
+
+					if ( isNaN( array[ i ] ) ) {
+
+						array[ i ] = 0;
+						valid = false;
+
+					}
+
+				}
+
+				if ( ! valid ) this.addDiagnostic( 'error', 'nan-coordinate', kind + ' has a missing or non-numeric coordinate, using 0 instead.' );
+
 			},
 			addVertex: function ( a, b, c ) {
 
@@ -289,24 +699,42 @@
 			},
 			addFace: function ( a, b, c, ua, ub, uc, na, nb, nc ) {
 
+				this.setGeometryType( 'Mesh' );
 				const vLen = this.vertices.length;
 				let ia = this.parseVertexIndex( a, vLen );
 				let ib = this.parseVertexIndex( b, vLen );
 				let ic = this.parseVertexIndex( c, vLen );
 				this.addVertex( ia, ib, ic );
-				this.addColor( ia, ib, ic ); // normals
+				this.addColor( ia, ib, ic );
+
+				// smoothing groups, -1 marks faces with normals from the file
+				const hasNormals = na !== undefined && na !== '';
+				const geometry = this.object.geometry;
+				geometry.vertexIndices.push( ia, ib, ic );
+				geometry.smoothingGroups.push( hasNormals ? - 1 : this.object.smoothingGroup );
+
+				if ( this.object.smoothingGroup !== 0 ) {
+
+					this.object.hasSmoothFaces = true;
+					const material = this.object.currentMaterial();
+					if ( material ) material.hasSmoothFaces = true;
 
-				if ( na !== undefined && na !== '' ) {
+				}
+
+				// normals
+				if ( hasNormals ) {
 
 					const nLen = this.normals.length;
 					ia = this.parseNormalIndex( na, nLen );
 					ib = this.parseNormalIndex( nb, nLen );
 					ic = this.parseNormalIndex( nc, nLen );
 					this.addNormal( ia, ib, ic );
+					geometry.hasNormalIndices = true;
 
 				} else {
 
 					this.addFaceNormal( ia, ib, ic );
+					geometry.hasFaceNormals = true;
 
 				} // uvs
 
@@ -330,7 +758,7 @@
 			},
 			addPointGeometry: function ( vertices ) {
 
-				this.object.geometry.type = 'Points';
+				this.setGeometryType( 'Points' );
 				const vLen = this.vertices.length;
 
 				for ( let vi = 0, l = vertices.length; vi < l; vi ++ ) {
@@ -344,244 +772,326 @@
 			},
 			addLineGeometry: function ( vertices, uvs ) {
 
-				this.object.geometry.type = 'Line';
+				this.setGeometryType( 'Line' );
 				const vLen = this.vertices.length;
 				const uvLen = this.uvs.length;
 
-				for ( let vi = 0, l = vertices.length; vi < l; vi ++ ) {
+				// "l" elements are polylines, they are rendered as LineSegments so every inner vertex is shared by two segments
+				for ( let vi = 0, l = vertices.length - 1; vi < l; vi ++ ) {
 
 					this.addVertexLine( this.parseVertexIndex( vertices[ vi ], vLen ) );
+					this.addVertexLine( this.parseVertexIndex( vertices[ vi + 1 ], vLen ) );
 
 				}
 
-				for ( let uvi = 0, l = uvs.length; uvi < l; uvi ++ ) {
+				if ( uvs.length === vertices.length ) {
 
-					this.addUVLine( this.parseUVIndex( uvs[ uvi ], uvLen ) );
+					for ( let uvi = 0, l = uvs.length - 1; uvi < l; uvi ++ ) {
+
+						this.addUVLine( this.parseUVIndex( uvs[ uvi ], uvLen ) );
+						this.addUVLine( this.parseUVIndex( uvs[ uvi + 1 ], uvLen ) );
+
+					}
 
 				}
 
-			}
-		};
-		state.startObject( '', false );
-		return state;
+			},
+			setSmoothingGroup: function ( value ) {
 
-	} //
+				// "s" without a value is produced by ZBrush #11707
+				const group = value === undefined ? 1 : value === 'off' ? 0 : parseInt( value, 10 );
+				this.object.smoothingGroup = isNaN( group ) ? 1 : group;
+				this.object.smooth = this.object.smoothingGroup !== 0;
+				// "s off" and "s 0" (Blender writes them by default) only turn smoothing off, the faces still get repaired
+				if ( this.object.smoothingGroup !== 0 ) this.hasSmoothingGroups = true;
 
+			},
+			setTextureMap: function ( name ) {
 
-	class OBJLoader extends THREE.Loader {
+				// usemap applies to the following faces, like a material
+				const usemap = name === 'off' ? null : name;
+				if ( usemap === this.object.usemap ) return;
+				const current = this.object.currentMaterial();
+				this.object.usemap = usemap;
+				this.object.startMaterial( current ? current.name : '', this.materialLibraries ).line = current ? current.line : undefined;
 
-		constructor( manager ) {
+			},
+			addFreeformStatement: function ( keyword, data ) {
 
-			super( manager );
-			this.materials = null;
+				const freeform = this.freeform;
 
-		}
+				switch ( keyword ) {
 
-		load( url, onLoad, onProgress, onError ) {
+					case 'cstype':
+						freeform.rational = data[ 0 ] === 'rat';
+						freeform.type = data[ data.length - 1 ];
+						break;
 
-			const scope = this;
-			const loader = new THREE.FileLoader( this.manager );
-			loader.setPath( this.path );
-			loader.setRequestHeader( this.requestHeader );
-			loader.setWithCredentials( this.withCredentials );
-			loader.load( url, function ( text ) {
+					case 'deg':
+						freeform.degree = [ parseInt( data[ 0 ], 10 ), parseInt( data.length > 1 ? data[ 1 ] : data[ 0 ], 10 ) ];
+						break;
 
-				try {
+					case 'curv':
+						if ( ! this.checkIndices( data.slice( 2 ).map( point => point.split( '/' )[ 0 ] ), this.vertices.length, 3, 'Control point' ) ) break;
+						freeform.element = {
+							type: 'curv',
+							range: [ parseFloat( data[ 0 ] ), parseFloat( data[ 1 ] ) ],
+							controlPoints: data.slice( 2 ),
+							parm: {}
+						};
+						break;
+
+					case 'surf':
+						if ( ! this.checkIndices( data.slice( 4 ).map( point => point.split( '/' )[ 0 ] ), this.vertices.length, 3, 'Control point' ) ) break;
+						freeform.element = {
+							type: 'surf',
+							range: [ parseFloat( data[ 0 ] ), parseFloat( data[ 1 ] ), parseFloat( data[ 2 ] ), parseFloat( data[ 3 ] ) ],
+							controlPoints: data.slice( 4 ),
+							parm: {}
+						};
+						break;
 
-					onLoad( scope.parse( text ) );
+					case 'parm':
+						if ( freeform.element ) freeform.element.parm[ data[ 0 ] ] = data.slice( 1 ).map( parseFloat );
+						break;
 
-				} catch ( e ) {
+					case 'end':
+						if ( freeform.element ) this.addFreeformElement( freeform.element );
+						freeform.element = null;
+						break;
 
-					if ( onError ) {
+					default:
+						// trimming curves, connectivity and the old-style step/bmat options don't change the tessellation
+						this.addDiagnostic( 'warning', 'unsupported', 'Free-form statement "' + keyword + '" not supported, ignoring it.' );
 
-						onError( e );
+				}
 
-					} else {
+			},
+			addFreeformElement: function ( element ) {
 
-						console.error( e );
+				const freeform = this.freeform;
 
-					}
+				if ( freeform.type !== 'bspline' && freeform.type !== 'bezier' ) {
 
-					scope.manager.itemError( url );
+					this.addDiagnostic( 'warning', 'unsupported', 'Free-form type "' + freeform.type + '" not supported, only bspline and bezier are.' );
+					return;
 
 				}
 
-			}, onProgress, onError );
+				const vLen = this.vertices.length;
+				const points = [];
 
-		}
+				for ( let i = 0; i < element.controlPoints.length; i ++ ) {
 
-		setMaterials( materials ) {
+					const index = this.parseVertexIndex( element.controlPoints[ i ].split( '/' )[ 0 ], vLen );
+					const weight = freeform.rational && this.vertexWeights[ index ] !== undefined ? this.vertexWeights[ index ] : 1;
+					points.push( [ this.vertices[ index ] * weight, this.vertices[ index + 1 ] * weight, this.vertices[ index + 2 ] * weight, weight ] );
 
-			this.materials = materials;
-			return this;
+				}
 
-		}
+				if ( element.type === 'curv' ) {
 
-		parse( text ) {
+					const degree = freeform.degree[ 0 ];
+					const knots = toKnotVector( freeform.type, degree, element.parm.u, points.length, this );
+					if ( knots === null ) return;
+					const segments = Math.min( 128, Math.max( 8, ( knots.length - 2 * degree - 1 ) * 8 ) );
+					this.setGeometryType( 'Line' );
+					const dst = this.object.geometry.vertices;
+					let previous = evaluateCurve( degree, knots, points, element.range[ 0 ] );
 
-			const state = new ParserState();
+					for ( let i = 1; i <= segments; i ++ ) {
 
-			if ( text.indexOf( '\r\n' ) !== - 1 ) {
+						const u = element.range[ 0 ] + ( element.range[ 1 ] - element.range[ 0 ] ) * i / segments;
+						const point = evaluateCurve( degree, knots, points, u );
+						dst.push( previous[ 0 ], previous[ 1 ], previous[ 2 ], point[ 0 ], point[ 1 ], point[ 2 ] );
+						previous = point;
 
-				// This is faster than String.split with regex that splits on both
-				text = text.replace( /\r\n/g, '\n' );
+					}
 
-			}
+				} else {
 
-			if ( text.indexOf( '\\\n' ) !== - 1 ) {
+					const degreeU = freeform.degree[ 0 ];
+					const degreeV = freeform.degree[ 1 ];
+					const countU = element.parm.u ? ( freeform.type === 'bezier' ? ( element.parm.u.length - 1 ) * degreeU + 1 : element.parm.u.length - degreeU - 1 ) : 0;
+					const countV = countU > 0 ? points.length / countU : 0;
+					const knotsU = toKnotVector( freeform.type, degreeU, element.parm.u, countU, this );
+					const knotsV = toKnotVector( freeform.type, degreeV, element.parm.v, countV, this );
+					if ( knotsU === null || knotsV === null ) return;
+					this.setGeometryType( 'Mesh' );
+					tessellateSurface( this.object.geometry, degreeU, degreeV, knotsU, knotsV, points, countU, element.range );
 
-				// join lines separated by a line continuation character (\)
-				text = text.replace( /\\\n/g, '' );
+				}
 
 			}
+		};
+		state.startObject( '', false );
+		return state;
 
-			const lines = text.split( '\n' );
-			let line = '',
-				lineFirstChar = '';
-			let lineLength = 0;
-			let result = []; // Faster to just trim left side of the line. Use if available.
+	} //
 
-			const trimLeft = typeof ''.trimLeft === 'function';
 
-			for ( let i = 0, l = lines.length; i < l; i ++ ) {
+	const _trim_left = typeof ''.trimLeft === 'function'; // Faster to just trim left side of the line. Use if available.
+	// Parses one line into the state, lines continued with \ are joined already
 
-				line = lines[ i ];
-				line = trimLeft ? line.trimLeft() : line.trim();
-				lineLength = line.length;
-				if ( lineLength === 0 ) continue;
-				lineFirstChar = line.charAt( 0 ); // @todo invoke passed in handler if any
+	function parseLine( state, line ) {
 
-				if ( lineFirstChar === '#' ) continue;
+		let result = [];
+		line = _trim_left ? line.trimLeft() : line.trim();
+		const lineLength = line.length;
+		if ( lineLength === 0 ) return;
+		const lineFirstChar = line.charAt( 0 ); // f, l, p and s are followed by whitespace, so keywords like "lod" or "shadow_obj" aren't read as one of them
 
-				if ( lineFirstChar === 'v' ) {
+		const lineKeyword = lineLength === 1 || line.charCodeAt( 1 ) <= 32 ? lineFirstChar : ''; // @todo invoke passed in handler if any
 
-					const data = line.split( /\s+/ );
+		if ( lineFirstChar === '#' ) return;
 
-					switch ( data[ 0 ] ) {
+		if ( lineFirstChar === 'v' ) {
 
-						case 'v':
-							state.vertices.push( parseFloat( data[ 1 ] ), parseFloat( data[ 2 ] ), parseFloat( data[ 3 ] ) );
+			const data = line.split( /\s+/ );
 
-							if ( data.length >= 7 ) {
+			switch ( data[ 0 ] ) {
 
-								state.colors.push( parseFloat( data[ 4 ] ), parseFloat( data[ 5 ] ), parseFloat( data[ 6 ] ) );
+				case 'v':
+					state.vertices.push( parseFloat( data[ 1 ] ), parseFloat( data[ 2 ] ), parseFloat( data[ 3 ] ) );
+					state.checkCoordinates( state.vertices, 3, 'Vertex' );
 
-							} else {
+					if ( data.length === 5 ) {
 
-								// if no colors are defined, add placeholders so color and vertex indices match
-								state.colors.push( undefined, undefined, undefined );
+						// "v x y z w", the weight of rational free-form control points
+						state.vertexWeights[ state.vertices.length - 3 ] = parseFloat( data[ 4 ] );
 
-							}
+					}
+
+					if ( data.length >= 7 ) {
 
-							break;
+						state.colors.push( parseFloat( data[ 4 ] ), parseFloat( data[ 5 ] ), parseFloat( data[ 6 ] ) );
 
-						case 'vn':
-							state.normals.push( parseFloat( data[ 1 ] ), parseFloat( data[ 2 ] ), parseFloat( data[ 3 ] ) );
-							break;
+					} else {
 
-						case 'vt':
-							state.uvs.push( parseFloat( data[ 1 ] ), parseFloat( data[ 2 ] ) );
-							break;
+						// if no colors are defined, add placeholders so color and vertex indices match
+						state.colors.push( undefined, undefined, undefined );
 
 					}
 
-				} else if ( lineFirstChar === 'f' ) {
+					break;
 
-					const lineData = line.substr( 1 ).trim();
-					const vertexData = lineData.split( /\s+/ );
-					const faceVertices = []; // Parse the face vertex data into an easy to work with format
+				case 'vn':
+					state.normals.push( parseFloat( data[ 1 ] ), parseFloat( data[ 2 ] ), parseFloat( data[ 3 ] ) );
+					state.checkCoordinates( state.normals, 3, 'Normal' );
+					break;
 
-					for ( let j = 0, jl = vertexData.length; j < jl; j ++ ) {
+				case 'vt':
+					// v is optional and defaults to 0
+					state.uvs.push( parseFloat( data[ 1 ] ), data.length > 2 ? parseFloat( data[ 2 ] ) : 0 );
+					state.checkCoordinates( state.uvs, 2, 'Texture coordinate' );
+					break;
 
-						const vertex = vertexData[ j ];
+				default:
+					state.addDiagnostic( 'warning', 'unknown-keyword', 'Unexpected line: "' + line + '"' );
 
-						if ( vertex.length > 0 ) {
+			}
 
-							const vertexParts = vertex.split( '/' );
-							faceVertices.push( vertexParts );
+		} else if ( lineKeyword === 'f' ) {
 
-						}
+			const lineData = line.substr( 1 ).trim();
+			const vertexData = lineData.split( /\s+/ );
+			const faceVertices = []; // Parse the face vertex data into an easy to work with format
 
-					} // Draw an edge between the first vertex and all subsequent vertices to form an n-gon
+			for ( let j = 0, jl = vertexData.length; j < jl; j ++ ) {
 
+				const vertex = vertexData[ j ];
 
-					const v1 = faceVertices[ 0 ];
+				if ( vertex.length > 0 ) {
 
-					for ( let j = 1, jl = faceVertices.length - 1; j < jl; j ++ ) {
+					const vertexParts = vertex.split( '/' );
+					faceVertices.push( vertexParts );
 
-						const v2 = faceVertices[ j ];
-						const v3 = faceVertices[ j + 1 ];
-						state.addFace( v1[ 0 ], v2[ 0 ], v3[ 0 ], v1[ 1 ], v2[ 1 ], v3[ 1 ], v1[ 2 ], v2[ 2 ], v3[ 2 ] );
+				}
 
-					}
+			}
 
-				} else if ( lineFirstChar === 'l' ) {
+			if ( ! state.checkFace( faceVertices ) ) return; // Draw an edge between the first vertex and all subsequent vertices to form an n-gon
 
-					const lineParts = line.substring( 1 ).trim().split( ' ' );
-					let lineVertices = [];
-					const lineUVs = [];
 
-					if ( line.indexOf( '/' ) === - 1 ) {
+			const v1 = faceVertices[ 0 ];
 
-						lineVertices = lineParts;
+			for ( let j = 1, jl = faceVertices.length - 1; j < jl; j ++ ) {
 
-					} else {
+				const v2 = faceVertices[ j ];
+				const v3 = faceVertices[ j + 1 ];
+				state.addFace( v1[ 0 ], v2[ 0 ], v3[ 0 ], v1[ 1 ], v2[ 1 ], v3[ 1 ], v1[ 2 ], v2[ 2 ], v3[ 2 ] );
 
-						for ( let li = 0, llen = lineParts.length; li < llen; li ++ ) {
+			}
 
-							const parts = lineParts[ li ].split( '/' );
-							if ( parts[ 0 ] !== '' ) lineVertices.push( parts[ 0 ] );
-							if ( parts[ 1 ] !== '' ) lineUVs.push( parts[ 1 ] );
+		} else if ( _freeform_pattern.test( line ) ) {
 
-						}
+			const data = line.split( /\s+/ );
+			state.addFreeformStatement( data[ 0 ], data.slice( 1 ) );
 
-					}
+		} else if ( lineKeyword === 'l' ) {
+
+			const lineParts = line.substring( 1 ).trim().split( /\s+/ );
+			let lineVertices = [];
+			const lineUVs = [];
 
-					state.addLineGeometry( lineVertices, lineUVs );
+			if ( line.indexOf( '/' ) === - 1 ) {
+
+				lineVertices = lineParts;
+
+			} else {
+
+				for ( let li = 0, llen = lineParts.length; li < llen; li ++ ) {
+
+					const parts = lineParts[ li ].split( '/' );
+					if ( parts[ 0 ] !== '' ) lineVertices.push( parts[ 0 ] );
+					if ( parts[ 1 ] !== '' ) lineUVs.push( parts[ 1 ] );
+
+				}
+
+			}
 
-				} else if ( lineFirstChar === 'p' ) {
+			if ( ! state.checkIndices( lineVertices, state.vertices.length, 3, 'Vertex' ) ) return;
+			if ( lineUVs.length === lineVertices.length && ! state.checkIndices( lineUVs, state.uvs.length, 2, 'Texture coordinate' ) ) return;
+			state.addLineGeometry( lineVertices, lineUVs );
 
-					const lineData = line.substr( 1 ).trim();
-					const pointData = lineData.split( ' ' );
-					state.addPointGeometry( pointData );
+		} else if ( lineKeyword === 'p' ) {
 
-				} else if ( ( result = _object_pattern.exec( line ) ) !== null ) {
+			const lineData = line.substr( 1 ).trim();
+			const pointData = lineData.split( /\s+/ );
+			if ( ! state.checkIndices( pointData, state.vertices.length, 3, 'Vertex' ) ) return;
+			state.addPointGeometry( pointData );
 
-					// o object_name
-					// or
-					// g group_name
-					// WORKAROUND: https://bugs.chromium.org/p/v8/issues/detail?id=2869
-					// let name = result[ 0 ].substr( 1 ).trim();
-					const name = ( ' ' + result[ 0 ].substr( 1 ).trim() ).substr( 1 );
-					state.startObject( name );
+		} else if ( ( result = _object_pattern.exec( line ) ) !== null ) {
 
-				} else if ( _material_use_pattern.test( line ) ) {
+			// o object_name
+			// or
+			// g group_name
+			// WORKAROUND: https://bugs.chromium.org/p/v8/issues/detail?id=2869
+			// let name = result[ 0 ].substr( 1 ).trim();
+			const name = ( ' ' + result[ 0 ].substr( 1 ).trim() ).substr( 1 );
+			state.startObject( name );
 
-					// material
-					state.object.startMaterial( line.substring( 7 ).trim(), state.materialLibraries );
+		} else if ( _material_use_pattern.test( line ) ) {
 
-				} else if ( _material_library_pattern.test( line ) ) {
+			// material
+			state.object.startMaterial( line.substring( 7 ).trim(), state.materialLibraries ).line = state.lineNumber;
 
-					// mtl file
-					state.materialLibraries.push( line.substring( 7 ).trim() );
+		} else if ( _material_library_pattern.test( line ) ) {
 
-				} else if ( _map_use_pattern.test( line ) ) {
+			// mtl file
+			state.materialLibraries.push( line.substring( 7 ).trim() );
 
-					// the line is parsed but ignored since the loader assumes textures are defined MTL files
-					// (according to https://www.okino.com/conv/imp_wave.htm, 'usemap' is the old-style Wavefront texture reference method)
-					console.warn( 'THREE.OBJLoader: Rendering identifier "usemap" not supported. Textures must be defined in MTL files.' );
+		} else if ( _map_use_pattern.test( line ) ) {
 
-				} else if ( lineFirstChar === 's' ) {
+			// 'usemap' is the old-style Wavefront texture reference method (https://www.okino.com/conv/imp_wave.htm),
+			// the texture replaces the map of the current material for the following faces
+			state.setTextureMap( line.substring( 7 ).trim() );
 
-					result = line.split( ' ' ); // smooth shading
-					// @todo Handle files that have varying smooth values for a set of faces inside one geometry,
-					// but does not define a usemtl for each face set.
-					// This should be detected and a dummy material created (later MultiMaterial and geometry groups).
-					// This requires some care to not create extra material on each smooth value for "normal" obj files.
-					// where explicit usemtl defines geometry groups.
-					// Example asset: examples/models/obj/cerberus/Cerberus.obj
+		} else if ( lineKeyword === 's' ) {
 
-					/*
+			result = line.split( /\s+/ ); // smoothing groups, faces only share normals with faces of the same group
+
+			/*
         	 * http://paulbourke.net/dataformats/obj/
         	 *
         	 * From chapter "Grouping" Syntax explanation "s group_number":
@@ -591,34 +1101,204 @@
         	 * than 0."
         	 */
 
-					if ( result.length > 1 ) {
+			state.setSmoothingGroup( result.length > 1 ? result[ 1 ].toLowerCase() : undefined );
+
+		} else {
+
+			// Handle null terminated files without exception
+			if ( line === '\0' ) return;
+			state.addDiagnostic( 'warning', 'unknown-keyword', 'Unexpected line: "' + line + '"' );
+
+		}
+
+
+	} //
+
+
+	class OBJLoader extends THREE.Loader {
+
+		constructor( manager ) {
+
+			super( manager );
+			this.materials = null;
+			this.strict = false;
+
+		}
+
+		load( url, onLoad, onProgress, onError ) {
+
+			const scope = this;
+			const loader = new THREE.FileLoader( this.manager );
+			loader.setPath( this.path );
+			loader.setRequestHeader( this.requestHeader );
+			loader.setWithCredentials( this.withCredentials );
+			loader.load( url, function ( text ) {
+
+				try {
 
-						const value = result[ 1 ].trim().toLowerCase();
-						state.object.smooth = value !== '0' && value !== 'off';
+					onLoad( scope.parse( text ) );
+
+				} catch ( e ) {
+
+					if ( onError ) {
+
+						onError( e );
 
 					} else {
 
-						// ZBrush can produce "s" lines #11707
-						state.object.smooth = true;
+						console.error( e );
 
 					}
 
-					const material = state.object.currentMaterial();
-					if ( material ) material.smooth = state.object.smooth;
+					scope.manager.itemError( url );
+
+				}
 
-				} else {
+			}, onProgress, onError );
+
+		}
+
+		setMaterials( materials ) {
+
+			this.materials = materials;
+			return this;
+
+		}
 
-					// Handle null terminated files without exception
-					if ( line === '\0' ) continue;
-					console.warn( 'THREE.OBJLoader: Unexpected line: "' + line + '"' );
+		// In strict mode files with errors (bad indices, non-numeric coordinates) are rejected instead of loaded without the broken elements
+		setStrict( strict ) {
+
+			this.strict = strict;
+			return this;
+
+		}
+
+		parse( text, onProgress ) {
+
+			return this.build( this.parseState( text, onProgress ) );
+
+		}
+
+		// Parses the text into plain arrays, this part has no DOM dependencies and can run in a worker
+		parseState( text, onProgress ) {
+
+			const parser = this.createParser();
+			const lines = text.split( '\n' );
+
+			for ( let i = 0, l = lines.length; i < l; i ++ ) {
+
+				if ( onProgress && i % 20000 === 0 ) {
+
+					onProgress( {
+						loaded: i,
+						total: l
+					} );
 
 				}
 
+				parser.addLine( lines[ i ] );
+
 			}
 
-			state.finalize();
+			return parser.end();
+
+		}
+
+		// Parses text that arrives in pieces, e.g. while it is downloaded: write() each piece as it comes in,
+		// end() returns the same state as parseState() does for the whole text
+		createParser() {
+
+			const scope = this;
+			const state = new ParserState();
+			let lineNumber = 0;
+			let rest = ''; // the last line of a piece can go on in the next one
+			let continued = null; // lines ending with \ are joined with the next one, diagnostics keep the number of the first
+
+			return {
+				state: state,
+				addLine: function ( line ) {
+
+					lineNumber ++;
+					// \r\n line endings
+					if ( line.charCodeAt( line.length - 1 ) === 13 ) line = line.slice( 0, - 1 );
+
+					if ( continued === null ) {
+
+						state.lineNumber = lineNumber;
+
+					} else {
+
+						line = continued + line;
+
+					}
+
+					if ( line.endsWith( '\\' ) ) {
+
+						continued = line.slice( 0, - 1 );
+						return;
+
+					}
+
+					continued = null;
+					parseLine( state, line );
+
+				},
+				write: function ( text ) {
+
+					const lines = ( rest + text ).split( '\n' );
+					rest = lines.pop();
+
+					for ( let i = 0, l = lines.length; i < l; i ++ ) {
+
+						this.addLine( lines[ i ] );
+
+					}
+
+				},
+				end: function () {
+
+					this.addLine( rest );
+					rest = '';
+
+					if ( continued !== null ) {
+
+						parseLine( state, continued );
+						continued = null;
+
+					}
+
+					state.finalize();
+
+					if ( scope.strict && state.diagnosticCounts.error > 0 ) {
+
+						const first = state.diagnostics.find( diagnostic => diagnostic.severity === 'error' );
+						const error = new Error( 'THREE.OBJLoader: ' + state.diagnosticCounts.error + ' error(s)' + ( first ? ', first on line ' + first.line + ': ' + first.message : '' ) );
+						error.diagnostics = state.diagnostics;
+						throw error;
+
+					}
+
+					// One line for the whole file, the diagnostics themselves are returned with the state
+					const counts = state.diagnosticCounts;
+					if ( counts.error + counts.warning > 0 ) console.warn( 'THREE.OBJLoader: ' + counts.error + ' error(s) and ' + counts.warning + ' warning(s), see the diagnostics of the result.' );
+					return state;
+
+				}
+			};
+
+		}
+
+		// Creates the meshes and materials for a parsed state
+		build( state ) {
+
 			const container = new THREE.Group();
 			container.materialLibraries = [].concat( state.materialLibraries );
+			container.diagnostics = state.diagnostics ? state.diagnostics.slice() : [];
+			container.diagnosticCounts = Object.assign( {
+				error: 0,
+				warning: 0
+			}, state.diagnosticCounts );
+			const missingMaterials = {};
 			const hasPrimitives = ! ( state.objects.length === 1 && state.objects[ 0 ].geometry.vertices.length === 0 );
 
 			if ( hasPrimitives === true ) {
@@ -642,6 +1322,9 @@
 
 					}
 
+					// Flat normals computed by the loader, because the file has neither vn normals nor smoothing groups
+					buffergeometry.userData.faceNormals = geometry.hasFaceNormals === true && geometry.hasNormalIndices !== true && state.hasSmoothingGroups !== true;
+
 					if ( geometry.colors.length > 0 ) {
 
 						hasVertexColors = true;
@@ -661,11 +1344,26 @@
 					for ( let mi = 0, miLen = materials.length; mi < miLen; mi ++ ) {
 
 						const sourceMaterial = materials[ mi ];
-						const materialHash = sourceMaterial.name + '_' + sourceMaterial.smooth + '_' + hasVertexColors;
+						// f, l and p elements of one object become separate meshes, lines and points that need their own material types
+						const materialHash = sourceMaterial.name + '_' + sourceMaterial.smooth + '_' + hasVertexColors + '_' + isLine + '_' + isPoints;
 						let material = state.materials[ materialHash ];
 
 						if ( this.materials !== null ) {
 
+							if ( sourceMaterial.name && this.materials.materialsInfo[ sourceMaterial.name ] === undefined && missingMaterials[ sourceMaterial.name ] === undefined ) {
+
+								// MTLLoader creates a default material for names it doesn't know
+								missingMaterials[ sourceMaterial.name ] = true;
+								container.diagnosticCounts.warning ++;
+								container.diagnostics.push( {
+									severity: 'warning',
+									code: 'missing-material',
+									line: sourceMaterial.line,
+									message: 'Material "' + sourceMaterial.name + '" is not defined in the material libraries.'
+								} );
+
+							}
+
 							material = this.materials.create( sourceMaterial.name ); // mtl etc. loaders probably can't create line materials correctly, copy properties to a line material.
 
 							if ( isLine && material && ! ( material instanceof THREE.LineBasicMaterial ) ) {
@@ -716,6 +1414,24 @@
 
 						}
 
+						if ( sourceMaterial.usemap ) {
+
+							// usemap textures replace the map of the material they are used with
+							const mapHash = materialHash + '_' + sourceMaterial.usemap;
+
+							if ( state.materials[ mapHash ] === undefined ) {
+
+								const mapped = material.clone();
+								mapped.map = new THREE.TextureLoader( this.manager ).setPath( this.resourcePath || this.path ).load( sourceMaterial.usemap );
+								mapped.map.encoding = THREE.sRGBEncoding;
+								state.materials[ mapHash ] = mapped;
+
+							}
+
+							material = state.materials[ mapHash ];
+
+						}
+
 						createdMaterials.push( material );
 
 					} // Create mesh
@@ -781,9 +1497,10 @@
 					const buffergeometry = new THREE.BufferGeometry();
 					buffergeometry.setAttribute( 'position', new THREE.Float32BufferAttribute( state.vertices, 3 ) );
 
-					if ( state.colors.length > 0 && state.colors[ 0 ] !== undefined ) {
+					if ( state.colors.some( value => value !== undefined ) ) {
 
-						buffergeometry.setAttribute( 'color', new THREE.Float32BufferAttribute( state.colors, 3 ) );
+						// vertices without a color are white
+						buffergeometry.setAttribute( 'color', new THREE.Float32BufferAttribute( Array.from( state.colors, value => value ?? 1 ), 3 ) );
 						material.vertexColors = true;
 
 					}
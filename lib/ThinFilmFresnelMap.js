@@ -1,19 +1,37 @@
 /**
  * @classdesc
- * ThinFilmFresnelMap is a lookup texture containing the reflection colour. The texture index value
- * is dot(normal, view). The texture values are stored in approximated gamma space (power 2.0), so
- * the sampled value needs to be multiplied with itself before use. The sampled value should replace
- * the fresnel factor in a PBR material.
+ * ThinFilmFresnelMap is a lookup texture containing the reflection colour. The horizontal texture index
+ * is dot(normal, view), the vertical index is the film thickness between minThickness and maxThickness.
+ * Because every thickness is precomputed, the thickness can be changed per frame (or per fragment) in
+ * the shader without regenerating the texture; see ThinFilmFresnelMap.shaderChunk.
+ * The texture values are stored in approximated gamma space (power 2.0), so the sampled value needs to
+ * be multiplied with itself before use. The sampled value should replace the fresnel factor in a PBR
+ * material.
  *
- * @property filmThickness The thickness of the thin film layer in nanometers. Defaults to 380.
+ * @property filmThickness The default thickness of the thin film layer in nanometers. Defaults to 380.
+ * Changing it does not regenerate the texture, shaders pass the thickness they want to look up.
  * @property refractiveIndexFilm The refractive index of the thin film. Defaults to 2.
  * @property refractiveIndexBase The refractive index of the material under the film. Defaults to 3.
+ * @property thicknessRange A Vector3 containing (minThickness, maxThickness, thicknessSize), to be passed
+ * to the shader as the thinFilmThicknessRange uniform.
+ * @property layers The multi-layer stack set with setLayers(), or null when a single film is used.
+ *
+ * Refractive indices can be a number, the name of an entry in ThinFilmFresnelMap.materials, or a
+ * wave length dependent description:
+ * - { type: 'cauchy', A, B, C, k } for n = A + B / l^2 + C / l^4
+ * - { type: 'sellmeier', A, B: [], C: [], k } for n^2 = A + sum(B * l^2 / (l^2 - C)), A defaults to 1
+ * - { type: 'tabulated', waveLengths: [], n: [], k: [] } interpolated linearly, wave lengths in nanometers
+ * where l is the wave length in micrometers and k the (optional) extinction coefficient of absorbing
+ * materials such as metals. Non-constant indices are solved with the transfer-matrix method.
  *
  * @constructor
- * @param filmThickness The thickness of the thin film layer in nanometers. Defaults to 380.
+ * @param filmThickness The default thickness of the thin film layer in nanometers. Defaults to 380.
  * @param refractiveIndexFilm The refractive index of the thin film. Defaults to 2.
  * @param refractiveIndexBase The refractive index of the material under the film. Defaults to 3.
- * @param size The width of the texture. Defaults to 64.
+ * @param size The width of the texture (the number of view angles). Defaults to 64.
+ * @param thicknessSize The height of the texture (the number of thickness steps). Defaults to 64.
+ * @param minThickness The film thickness of the first row in nanometers. Defaults to 200.
+ * @param maxThickness The film thickness of the last row in nanometers. Defaults to 1000.
  *
  * @extends DataTexture
  *
@@ -21,20 +39,24 @@
  */
 class ThinFilmFresnelMap extends THREE.DataTexture {
 
-  constructor(filmThickness=380.0, refractiveIndexFilm=2, refractiveIndexBase=3, size=64) {
+  constructor(filmThickness=380.0, refractiveIndexFilm=2, refractiveIndexBase=3, size=64, thicknessSize=64, minThickness=200, maxThickness=1000) {
 
-      const data = new Uint8Array(size * 4);
-      super(data, size, 1, THREE.RGBAFormat, THREE.UnsignedByteType, THREE.UVMapping, THREE.RepeatWrapping, THREE.RepeatWrapping, THREE.LinearFilter, THREE.LinearMipMapLinearFilter);
+      const data = new Uint8Array(size * thicknessSize * 4);
+      // no mipmaps: they would blend neighbouring thickness rows together
+      super(data, size, thicknessSize, THREE.RGBAFormat, THREE.UnsignedByteType, THREE.UVMapping, THREE.RepeatWrapping, THREE.ClampToEdgeWrapping, THREE.LinearFilter, THREE.LinearFilter);
 
       this._filmThickness = filmThickness;
       this._refractiveIndexFilm = refractiveIndexFilm;
       this._refractiveIndexBase = refractiveIndexBase;
       this._size = size;
+      this._thicknessSize = thicknessSize;
+      this._thicknessRange = new THREE.Vector3(minThickness, maxThickness, thicknessSize);
+      this._layers = null;
       this._data = data;
     
       this._updateData();
     
-      this.generateMipmaps = true;
+      this.generateMipmaps = false;
       this.needsUpdate = true;
   }
 
@@ -43,39 +65,322 @@ class ThinFilmFresnelMap extends THREE.DataTexture {
   }
   set filmThickness(value) {
     this._filmThickness = value;
-    this.updateSettings(this._filmThickness, this._refractiveIndexFilm, this._refractiveIndexBase);
   }
 
   get refractiveIndexFilm() {
     return this._refractiveIndexFilm;
   }
   set refractiveIndexFilm(value) {
-    this._refractiveIndexFilm = value;
-    this.updateSettings(this._filmThickness, this._refractiveIndexFilm, this._refractiveIndexBase);
+    this.updateSettings(this._filmThickness, value, this._refractiveIndexBase);
   }
 
   get refractiveIndexBase() {
     return this._refractiveIndexBase;
   }
   set refractiveIndexBase(value) {
-    this._refractiveIndexBase = value;
-    this.updateSettings(this._filmThickness, this._refractiveIndexFilm, this._refractiveIndexBase);
+    this.updateSettings(this._filmThickness, this._refractiveIndexFilm, value);
+  }
+
+  get minThickness() {
+    return this._thicknessRange.x;
+  }
+
+  get maxThickness() {
+    return this._thicknessRange.y;
+  }
+
+  get thicknessRange() {
+    return this._thicknessRange;
+  }
+
+  get layers() {
+    return this._layers;
+  }
+
+  /**
+   * Returns the vertical texture coordinate of the row closest to the given thickness. This mirrors
+   * thinFilmThicknessCoord() in ThinFilmFresnelMap.shaderChunk.
+   * @param thickness The film thickness in nanometers.
+   */
+  getThicknessCoordinate(thickness) {
+    var range = this._thicknessRange;
+    var t = THREE.MathUtils.clamp((thickness - range.x) / (range.y - range.x), 0.0, 1.0);
+    return (0.5 + t * (range.z - 1.0)) / range.z;
   }
 
+  /**
+   * Samples the lookup texture on the CPU the way the shaders do (bilinear, repeating horizontally), e.g. to
+   * bake the reflection colour into vertex colours. Like texture2D(), the result is in gamma space.
+   * @param u The horizontal texture coordinate, dot(normal, view).
+   * @param thickness The film thickness in nanometers.
+   * @param target The THREE.Color to store the result in.
+   */
+  sample(u, thickness, target=new THREE.Color()) {
+    var data = this._data;
+    var width = this._size;
+    var height = this._thicknessSize;
+    var x = u * width - 0.5;
+    var y = this.getThicknessCoordinate(thickness) * height - 0.5;
+    var x0 = Math.floor(x);
+    var y0 = THREE.MathUtils.clamp(Math.floor(y), 0, height - 1);
+    var y1 = Math.min(y0 + 1, height - 1);
+    var fx = x - x0;
+    var fy = THREE.MathUtils.clamp(y - y0, 0.0, 1.0);
+    var x1 = THREE.MathUtils.euclideanModulo(x0 + 1, width);
+    x0 = THREE.MathUtils.euclideanModulo(x0, width);
+
+    var channel = function(c) {
+      var top = data[(y0 * width + x0) * 4 + c] * (1.0 - fx) + data[(y0 * width + x1) * 4 + c] * fx;
+      var bottom = data[(y1 * width + x0) * 4 + c] * (1.0 - fx) + data[(y1 * width + x1) * 4 + c] * fx;
+      return (top * (1.0 - fy) + bottom * fy) / 0xff;
+    };
+
+    return target.setRGB(channel(0), channel(1), channel(2));
+  }
 
   /**
-   * Regenerates the lookup texture given new data.
+   * Regenerates the lookup texture given new data. Throws without changing anything if a refractive index
+   * is not a valid description, see validateRefractiveIndex().
    * @param filmThickness The thickness of the thin film layer in nanometers. Defaults to 380.
    * @param refractiveIndexFilm The refractive index of the thin film. Defaults to 2.
    * @param refractiveIndexBase The refractive index of the material under the film. Defaults to 3.
    */
   updateSettings(filmThickness, refractiveIndexFilm, refractiveIndexBase) {
+    refractiveIndexFilm = refractiveIndexFilm ?? 2;
+    refractiveIndexBase = refractiveIndexBase ?? 3;
+    ThinFilmFresnelMap.validateRefractiveIndex(refractiveIndexFilm);
+    ThinFilmFresnelMap.validateRefractiveIndex(refractiveIndexBase);
+
     this._filmThickness = filmThickness ?? 380;
-    this._refractiveIndexFilm = refractiveIndexFilm ?? 2;
-    this._refractiveIndexBase = refractiveIndexBase ?? 3;
+    this._refractiveIndexFilm = refractiveIndexFilm;
+    this._refractiveIndexBase = refractiveIndexBase;
+    this._updateData();
+  };
+
+  /**
+   * Replaces the single film by a stack of layers, which is solved with the transfer-matrix method. This
+   * can model coatings such as dichroic filters or the multilayer reflectors in beetle shells.
+   * @param layers An array of { thickness, refractiveIndex } objects, outermost layer first. Layers
+   * without a thickness follow the thickness axis of the lookup table (the film thickness passed to the
+   * shader), the others keep their thickness in nanometers. Pass null to go back to the single film.
+   * @param refractiveIndexBase The refractive index of the material under the stack. Defaults to the
+   * current refractiveIndexBase.
+   * Like updateSettings(), this throws without changing anything if a refractive index is invalid.
+   */
+  setLayers(layers, refractiveIndexBase) {
+    layers = layers ? layers.map(function (layer) {
+      return {
+        thickness: layer.thickness ?? null,
+        refractiveIndex: layer.refractiveIndex ?? this._refractiveIndexFilm
+      };
+    }, this) : null;
+
+    if (layers) {
+      layers.forEach(function (layer) {
+        ThinFilmFresnelMap.validateRefractiveIndex(layer.refractiveIndex);
+      });
+    }
+    if (refractiveIndexBase !== undefined) {
+      ThinFilmFresnelMap.validateRefractiveIndex(refractiveIndexBase);
+    }
+
+    this._layers = layers;
+
+    if (refractiveIndexBase !== undefined) {
+      this._refractiveIndexBase = refractiveIndexBase;
+    }
+
+    this._updateData();
+  };
+
+  /**
+   * Sets the film, base and layers from an entry in ThinFilmFresnelMap.presets and regenerates the texture.
+   * @param name The name of the preset, e.g. 'anodized-titanium'.
+   */
+  applyPreset(name) {
+    var preset = ThinFilmFresnelMap.presets[name];
+
+    if (!preset) {
+      console.warn('ThinFilmFresnelMap: Unknown preset "' + name + '"');
+      return;
+    }
+
+    var refractiveIndexFilm = preset.refractiveIndexFilm ?? this._refractiveIndexFilm;
+    var refractiveIndexBase = preset.refractiveIndexBase ?? this._refractiveIndexBase;
+    ThinFilmFresnelMap.validateRefractiveIndex(refractiveIndexFilm);
+    ThinFilmFresnelMap.validateRefractiveIndex(refractiveIndexBase);
+
+    this._refractiveIndexFilm = refractiveIndexFilm;
+    this.setLayers(preset.layers ?? null, refractiveIndexBase);
+  };
+
+  /**
+   * Changes the resolution of the texture and regenerates it, e.g. to trade accuracy for upload time and memory.
+   * The thicknessRange vector is updated in place, so shaders using it as a uniform keep working.
+   * @param size The number of view angles.
+   * @param thicknessSize The number of thickness steps. Defaults to size.
+   */
+  setSize(size, thicknessSize) {
+    thicknessSize = thicknessSize ?? size;
+
+    if (size === this._size && thicknessSize === this._thicknessSize) {
+      return;
+    }
+
+    this._size = size;
+    this._thicknessSize = thicknessSize;
+    this._thicknessRange.z = thicknessSize;
+    this._data = new Uint8Array(size * thicknessSize * 4);
+    this.image = { data: this._data, width: size, height: thicknessSize };
+
+    // the GPU copy can't change size, it is allocated again on the next upload
+    this.dispose();
     this._updateData();
   };
 
+  /**
+   * Evaluates a refractive index description (see the class description) at a wave length.
+   * @param refractiveIndex A number, material name or dispersion description.
+   * @param waveLen The wave length in nanometers.
+   * @param target An optional object to write the result to.
+   * @returns An object with the real refractive index n and the extinction coefficient k.
+   */
+  static refractiveIndexAt(refractiveIndex, waveLen, target={ n: 1, k: 0 }) {
+    if (typeof refractiveIndex === 'string') {
+      var material = ThinFilmFresnelMap.materials[refractiveIndex];
+
+      if (!material) {
+        console.warn('ThinFilmFresnelMap: Unknown material "' + refractiveIndex + '"');
+        material = 1.0;
+      }
+
+      return ThinFilmFresnelMap.refractiveIndexAt(material, waveLen, target);
+    }
+
+    if (typeof refractiveIndex === 'number') {
+      target.n = refractiveIndex;
+      target.k = 0;
+      return target;
+    }
+
+    var l = waveLen / 1000; // the dispersion formulas use micrometers
+    var lSqr = l * l;
+    var n, k = refractiveIndex.k ?? 0;
+
+    switch (refractiveIndex.type) {
+      case 'cauchy':
+        n = refractiveIndex.A + (refractiveIndex.B ?? 0) / lSqr + (refractiveIndex.C ?? 0) / (lSqr * lSqr);
+        break;
+
+      case 'sellmeier':
+        var nSqr = refractiveIndex.A ?? 1;
+        for (var i = 0; i < refractiveIndex.B.length; ++i) {
+          nSqr += refractiveIndex.B[i] * lSqr / (lSqr - refractiveIndex.C[i]);
+        }
+        n = Math.sqrt(Math.max(nSqr, 0));
+        break;
+
+      case 'tabulated':
+        var waveLengths = refractiveIndex.waveLengths;
+        var last = waveLengths.length - 1;
+        var i1 = 0;
+        while (i1 < last && waveLengths[i1 + 1] < waveLen) ++i1;
+        var i2 = Math.min(i1 + 1, last);
+        var t = i1 === i2 ? 0 : THREE.MathUtils.clamp((waveLen - waveLengths[i1]) / (waveLengths[i2] - waveLengths[i1]), 0, 1);
+        n = THREE.MathUtils.lerp(refractiveIndex.n[i1], refractiveIndex.n[i2], t);
+        k = refractiveIndex.k ? THREE.MathUtils.lerp(refractiveIndex.k[i1], refractiveIndex.k[i2], t) : 0;
+        break;
+
+      default:
+        console.warn('ThinFilmFresnelMap: Unknown refractive index type "' + refractiveIndex.type + '"');
+        n = 1.0;
+        k = 0;
+    }
+
+    target.n = n;
+    target.k = k;
+    return target;
+  };
+
+  /**
+   * Checks that a refractive index (see the class description) can be evaluated, so a bad description, e.g.
+   * from an imported preset, is rejected before the texture is half regenerated. Unknown material names only
+   * warn when evaluated, like before.
+   * @param refractiveIndex A number, material name or dispersion description.
+   * @throws An Error describing the first problem found.
+   */
+  static validateRefractiveIndex(refractiveIndex) {
+    var isNumber = function (value) {
+      return typeof value === 'number' && isFinite(value);
+    };
+    var isNumberArray = function (value, length) {
+      return Array.isArray(value) && value.length > 0 && (length === undefined || value.length === length) && value.every(isNumber);
+    };
+    var fail = function (message) {
+      throw new Error('ThinFilmFresnelMap: Invalid refractive index ' + JSON.stringify(refractiveIndex) + ', ' + message);
+    };
+
+    if (typeof refractiveIndex === 'string') {
+      return;
+    }
+
+    if (typeof refractiveIndex === 'number') {
+      if (!isNumber(refractiveIndex)) fail('the number is not finite');
+      return;
+    }
+
+    if (!refractiveIndex || typeof refractiveIndex !== 'object') {
+      fail('expected a number, material name or dispersion description');
+    }
+
+    switch (refractiveIndex.type) {
+      case 'cauchy':
+        if (!isNumber(refractiveIndex.A)) fail('cauchy needs a number A');
+        if (refractiveIndex.B !== undefined && !isNumber(refractiveIndex.B)) fail('cauchy B must be a number');
+        if (refractiveIndex.C !== undefined && !isNumber(refractiveIndex.C)) fail('cauchy C must be a number');
+        if (refractiveIndex.k !== undefined && !isNumber(refractiveIndex.k)) fail('k must be a number');
+        break;
+
+      case 'sellmeier':
+        if (refractiveIndex.A !== undefined && !isNumber(refractiveIndex.A)) fail('sellmeier A must be a number');
+        if (!isNumberArray(refractiveIndex.B)) fail('sellmeier needs an array of numbers B');
+        if (!isNumberArray(refractiveIndex.C, refractiveIndex.B.length)) fail('sellmeier needs an array of numbers C as long as B');
+        if (refractiveIndex.k !== undefined && !isNumber(refractiveIndex.k)) fail('k must be a number');
+        break;
+
+      case 'tabulated':
+        if (!isNumberArray(refractiveIndex.waveLengths)) fail('tabulated needs an array of numbers waveLengths');
+        if (!isNumberArray(refractiveIndex.n, refractiveIndex.waveLengths.length)) fail('tabulated needs an array of numbers n as long as waveLengths');
+        if (refractiveIndex.k !== undefined && !isNumberArray(refractiveIndex.k, refractiveIndex.waveLengths.length)) fail('tabulated k must be an array of numbers as long as waveLengths');
+        break;
+
+      default:
+        fail('unknown type "' + refractiveIndex.type + '"');
+    }
+  };
+
+  /**
+   * Builds the layers of a quarter-wave stack: alternating high and low index layers that are each a
+   * quarter wave length thick, reflecting a band around centerWaveLength. The result can be passed to
+   * setLayers().
+   * @param refractiveIndexHigh The refractive index of the high index layers, e.g. 2.4 or 'TiO2'.
+   * @param refractiveIndexLow The refractive index of the low index layers, e.g. 1.46 or 'SiO2'.
+   * @param pairs The number of high/low layer pairs.
+   * @param centerWaveLength The wave length in nanometers the stack reflects most. Defaults to 550.
+   */
+  static quarterWaveStack(refractiveIndexHigh, refractiveIndexLow, pairs, centerWaveLength=550) {
+    var layers = [];
+    var nHigh = ThinFilmFresnelMap.refractiveIndexAt(refractiveIndexHigh, centerWaveLength).n;
+    var nLow = ThinFilmFresnelMap.refractiveIndexAt(refractiveIndexLow, centerWaveLength).n;
+
+    for (var i = 0; i < pairs; ++i) {
+      layers.push({ thickness: centerWaveLength / (4 * nHigh), refractiveIndex: refractiveIndexHigh });
+      layers.push({ thickness: centerWaveLength / (4 * nLow), refractiveIndex: refractiveIndexLow });
+    }
+
+    return layers;
+  };
+
   /**
    * @private
    */
@@ -106,13 +411,13 @@ class ThinFilmFresnelMap extends THREE.DataTexture {
   };
 
   /**
+   * The sampled wave lengths and their CIE XYZ weights. These never change, so they're shared by all maps.
    * @private
    */
-  _updateData() {
-    var filmThickness = this._filmThickness;
-    var refractiveIndexFilm = this._refractiveIndexFilm;
-    var refractiveIndexBase = this._refractiveIndexBase;
-    var size = this._size;
+  _getSpectrum() {
+    if (ThinFilmFresnelMap._spectrum) {
+      return ThinFilmFresnelMap._spectrum;
+    }
 
     // approximate CIE XYZ weighting functions from: http://jcgt.org/published/0002/02/01/paper.pdf
     function xFit_1931(lambda) {
@@ -134,7 +439,109 @@ class ThinFilmFresnelMap extends THREE.DataTexture {
       return 1.217 * Math.exp(-0.5 * t1 * t1) + 0.681 * Math.exp(-0.5 * t2 * t2);
     }
 
+    // RGB is too limiting, so we use the entire spectral domain, but using limited samples (64) to
+    // create more pleasing bands
+    var numBands = 64;
+    var waveLenRange = 780 - 380; // the entire visible range
+
+    var spectrum = {
+      numBands: numBands,
+      waveLens: new Float32Array(numBands),
+      weightsX: new Float32Array(numBands),
+      weightsY: new Float32Array(numBands),
+      weightsZ: new Float32Array(numBands),
+      totX: 0,
+      totY: 0,
+      totZ: 0
+    };
+
+    for (var j = 0; j < numBands; ++j) {
+      var waveLen = 380 + j / (numBands - 1) * waveLenRange;
+      spectrum.waveLens[j] = waveLen;
+      spectrum.weightsX[j] = xFit_1931(waveLen);
+      spectrum.weightsY[j] = yFit_1931(waveLen);
+      spectrum.weightsZ[j] = zFit_1931(waveLen);
+      spectrum.totX += spectrum.weightsX[j];
+      spectrum.totY += spectrum.weightsY[j];
+      spectrum.totZ += spectrum.weightsZ[j];
+    }
+
+    ThinFilmFresnelMap._spectrum = spectrum;
+    return spectrum;
+  };
+
+  /**
+   * The film thickness of a texture row in nanometers.
+   * @private
+   */
+  _rowThickness(row) {
+    var range = this._thicknessRange;
+    return range.x + row / Math.max(this._thicknessSize - 1, 1) * (range.y - range.x);
+  };
+
+  /**
+   * Converts spectrally weighted CIE XYZ sums to gamma space rgb and stores them in the texel at index k.
+   * @private
+   */
+  _writeTexel(k, x, y, z, spectrum) {
     var data = this._data;
+
+    x /= spectrum.totX;
+    y /= spectrum.totY;
+    z /= spectrum.totZ;
+
+    var r = 3.2406 * x - 1.5372 * y - 0.4986 * z;
+    var g = -0.9689 * x + 1.8758 * y + 0.0415 * z;
+    var b = 0.0557 * x - 0.2040 * y + 1.0570 * z;
+
+    r = THREE.MathUtils.clamp(r, 0.0, 1.0);
+    g = THREE.MathUtils.clamp(g, 0.0, 1.0);
+    b = THREE.MathUtils.clamp(b, 0.0, 1.0);
+
+    // linear to gamma
+    r = Math.sqrt(r);
+    g = Math.sqrt(g);
+    b = Math.sqrt(b);
+
+    // CIE XYZ to linear rgb conversion matrix:
+    // 3.2406 -1.5372 -0.4986
+    // -0.9689  1.8758  0.0415
+    // 0.0557 -0.2040  1.0570
+
+    data[k] = Math.floor(r * 0xff);
+    data[k + 1] = Math.floor(g * 0xff);
+    data[k + 2] = Math.floor(b * 0xff);
+    data[k + 3] = 0xff;
+  };
+
+  /**
+   * @private
+   */
+  _updateData() {
+    var spectrum = this._getSpectrum();
+
+    if (this._layers) {
+      this._updateStackData(spectrum, this._layers);
+    } else if (typeof this._refractiveIndexFilm === 'number' && typeof this._refractiveIndexBase === 'number') {
+      this._updateFilmData(spectrum);
+    } else {
+      // dispersive or absorbing materials change per wave length, which only the stack solver handles
+      this._updateStackData(spectrum, [{ thickness: null, refractiveIndex: this._refractiveIndexFilm }]);
+    }
+
+    this.needsUpdate = true;
+  };
+
+  /**
+   * Fills the texture for a single film on top of the base.
+   * @private
+   */
+  _updateFilmData(spectrum) {
+    var refractiveIndexFilm = this._refractiveIndexFilm;
+    var refractiveIndexBase = this._refractiveIndexBase;
+    var size = this._size;
+    var thicknessSize = this._thicknessSize;
+
     var phi12 = new THREE.Vector2();
     var phi21 = new THREE.Vector2();
     var phi23 = new THREE.Vector2();
@@ -151,20 +558,14 @@ class ThinFilmFresnelMap extends THREE.DataTexture {
     var refrRatioSqr = 1.0 / (refractiveIndexFilm * refractiveIndexFilm);
     var refrRatioSqrBase = (refractiveIndexFilm * refractiveIndexFilm) / (refractiveIndexBase * refractiveIndexBase);
 
-    // RGB is too limiting, so we use the entire spectral domain, but using limited samples (64) to
-    // create more pleasing bands
-    var numBands = 64;
-    var waveLenRange = 780 - 380; // the entire visible range
+    var numBands = spectrum.numBands;
+    var waveLens = spectrum.waveLens;
 
     for (var i = 0; i < size; ++i) {
       var cosThetaI = i / size;
       var cosThetaT = Math.sqrt(1 - refrRatioSqr * (1.0 - cosThetaI * cosThetaI));
       var cosThetaT2 = Math.sqrt(1 - refrRatioSqrBase * (1.0 - cosThetaT * cosThetaT));
 
-      // this is essentially the extra distance traveled by a ray if it bounds through the film
-      var pathDiff = 2.0 * refractiveIndexFilm * filmThickness * cosThetaT;
-      var pathDiff2PI = 2.0 * Math.PI * pathDiff;
-
       this._fresnelRefl(1.0, refractiveIndexFilm, cosThetaI, cosThetaT, R12, phi12);
       T12.x = 1.0 - R12.x;
       T12.y = 1.0 - R12.y;
@@ -185,62 +586,287 @@ class ThinFilmFresnelMap extends THREE.DataTexture {
       R_12_star.y = R12.y + R_star.y;
       R_star_t_tot.x = R_star.x - T_tot.x;
       R_star_t_tot.y = R_star.y - T_tot.y;
-      var x = 0, y = 0, z = 0;
-      var totX = 0, totY = 0, totZ = 0;
 
-      // TODO: we could also put the thickness in the look-up table, make it a 2D table
-      for (var j = 0; j < numBands; ++j) {
-        var waveLen = 380 + j / (numBands - 1) * waveLenRange;
-        var deltaPhase = pathDiff2PI / waveLen;
-
-        var cosPhiX = Math.cos(deltaPhase + phi23.x + phi21.x);
-        var cosPhiY = Math.cos(deltaPhase + phi23.y + phi21.y);
-        var valX = R_12_star.x + 2.0 * (R_bi.x * cosPhiX - R_bi_sqr.x) / (1.0 - 2 * R_bi.x * cosPhiX + R_bi_sqr.x) * R_star_t_tot.x;
-        var valY = R_12_star.y + 2.0 * (R_bi.y * cosPhiY - R_bi_sqr.y) / (1.0 - 2 * R_bi.y * cosPhiY + R_bi_sqr.y) * R_star_t_tot.y;
-        var v = .5 * (valX + valY);
-
-        var wx = xFit_1931(waveLen);
-        var wy = yFit_1931(waveLen);
-        var wz = zFit_1931(waveLen);
-
-        totX += wx;
-        totY += wy;
-        totZ += wz;
-
-        x += wx * v;
-        y += wy * v;
-        z += wz * v;
+      // everything above only depends on the angle, each row of the texture is a different thickness
+      for (var row = 0; row < thicknessSize; ++row) {
+        var filmThickness = this._rowThickness(row);
+
+        // this is essentially the extra distance traveled by a ray if it bounds through the film
+        var pathDiff = 2.0 * refractiveIndexFilm * filmThickness * cosThetaT;
+        var pathDiff2PI = 2.0 * Math.PI * pathDiff;
+
+        var x = 0, y = 0, z = 0;
+
+        for (var j = 0; j < numBands; ++j) {
+          var deltaPhase = pathDiff2PI / waveLens[j];
+
+          var cosPhiX = Math.cos(deltaPhase + phi23.x + phi21.x);
+          var cosPhiY = Math.cos(deltaPhase + phi23.y + phi21.y);
+          var valX = R_12_star.x + 2.0 * (R_bi.x * cosPhiX - R_bi_sqr.x) / (1.0 - 2 * R_bi.x * cosPhiX + R_bi_sqr.x) * R_star_t_tot.x;
+          var valY = R_12_star.y + 2.0 * (R_bi.y * cosPhiY - R_bi_sqr.y) / (1.0 - 2 * R_bi.y * cosPhiY + R_bi_sqr.y) * R_star_t_tot.y;
+          var v = .5 * (valX + valY);
+
+          x += spectrum.weightsX[j] * v;
+          y += spectrum.weightsY[j] * v;
+          z += spectrum.weightsZ[j] * v;
+        }
+
+        this._writeTexel((row * size + i) << 2, x, y, z, spectrum);
       }
+    }
+  };
+
+  /**
+   * Fills the texture for the layer stack using the transfer-matrix (characteristic matrix) method, see
+   * H. A. Macleod, Thin-Film Optical Filters, chapter 2. Refractive indices are complex, N = n - ik, so
+   * absorbing layers are handled as well.
+   * @private
+   */
+  _updateStackData(spectrum, layers) {
+    var numLayers = layers.length;
+    var size = this._size;
+    var thicknessSize = this._thicknessSize;
+    var numBands = spectrum.numBands;
+    var waveLens = spectrum.waveLens;
+    var refractiveIndexBase = this._refractiveIndexBase;
 
-      x /= totX;
-      y /= totY;
-      z /= totZ;
+    // per band and layer: the s and p admittances, N cos(theta) and the characteristic matrices for both
+    // polarizations. The matrices of layers with a fixed thickness are the same for every row.
+    var stride = numLayers * 22;
+    var cache = new Float64Array(numBands * stride);
+    var substrate = new Float64Array(numBands * 4);
+    var c = new Float64Array(2);
+
+    // complex square root, with the branch that has a negative imaginary part (a decaying wave for N = n - ik)
+    function nCosTheta(nRe, nIm, sinSqr, out) {
+      var re = nRe * nRe - nIm * nIm - sinSqr;
+      var im = 2 * nRe * nIm;
+      var r = Math.sqrt(re * re + im * im);
+      out[0] = Math.sqrt(Math.max((r + re) * 0.5, 0));
+      out[1] = -Math.sqrt(Math.max((r - re) * 0.5, 0));
+    }
 
-      var r = 3.2406 * x - 1.5372 * y - 0.4986 * z;
-      var g = -0.9689 * x + 1.8758 * y + 0.0415 * z;
-      var b = 0.0557 * x - 0.2040 * y + 1.0570 * z;
+    // writes the characteristic matrix [[cos d, i sin d / eta], [i eta sin d, cos d]] for both polarizations
+    function layerMatrix(q, eta, thickness, waveLen, m, o) {
+      var scale = 2.0 * Math.PI * thickness / waveLen;
+      var dRe = q[0] * scale, dIm = q[1] * scale;
+      var cosRe = Math.cos(dRe) * Math.cosh(dIm), cosIm = -Math.sin(dRe) * Math.sinh(dIm);
+      var sinRe = Math.sin(dRe) * Math.cosh(dIm), sinIm = Math.cos(dRe) * Math.sinh(dIm);
+
+      for (var pol = 0; pol < 2; ++pol) {
+        var eRe = eta[pol * 2], eIm = eta[pol * 2 + 1];
+        var eSqr = eRe * eRe + eIm * eIm;
+        // i sin d / eta
+        var aRe = (sinRe * eRe + sinIm * eIm) / eSqr, aIm = (sinIm * eRe - sinRe * eIm) / eSqr;
+        // i eta sin d
+        var bRe = eRe * sinRe - eIm * sinIm, bIm = eRe * sinIm + eIm * sinRe;
+        var p = o + pol * 8;
+        m[p] = cosRe; m[p + 1] = cosIm;
+        m[p + 2] = -aIm; m[p + 3] = aRe;
+        m[p + 4] = -bIm; m[p + 5] = bRe;
+        m[p + 6] = cosRe; m[p + 7] = cosIm;
+      }
+    }
 
-      r = THREE.MathUtils.clamp(r, 0.0, 1.0);
-      g = THREE.MathUtils.clamp(g, 0.0, 1.0);
-      b = THREE.MathUtils.clamp(b, 0.0, 1.0);
+    var q = new Float64Array(2);
 
-      // linear to gamma
-      r = Math.sqrt(r);
-      g = Math.sqrt(g);
-      b = Math.sqrt(b);
+    for (var i = 0; i < size; ++i) {
+      // avoid the division by zero of the p admittance at grazing angles, where R = 1 anyway
+      var cosThetaI = Math.max(i / size, 1e-4);
+      var sinSqr = 1.0 - cosThetaI * cosThetaI;
 
-      // CIE XYZ to linear rgb conversion matrix:
-      // 3.2406 -1.5372 -0.4986
-      // -0.9689  1.8758  0.0415
-      // 0.0557 -0.2040  1.0570
+      for (var j = 0; j < numBands; ++j) {
+        for (var l = 0; l < numLayers; ++l) {
+          var index = this._complexIndex(layers[l].refractiveIndex, waveLens[j], c);
+          nCosTheta(index[0], index[1], sinSqr, q);
+          var o = j * stride + l * 22;
+          this._layerAdmittances(index, q, cache, o);
+          cache[o + 4] = q[0];
+          cache[o + 5] = q[1];
+
+          if (layers[l].thickness !== null) {
+            layerMatrix(q, cache.subarray(o, o + 4), layers[l].thickness, waveLens[j], cache, o + 6);
+          }
+        }
+
+        var base = this._complexIndex(refractiveIndexBase, waveLens[j], c);
+        nCosTheta(base[0], base[1], sinSqr, q);
+        this._layerAdmittances(base, q, substrate, j * 4);
+      }
 
-      var k = i << 2;
-      data[k] = Math.floor(r * 0xff);
-      data[k + 1] = Math.floor(g * 0xff);
-      data[k + 2] = Math.floor(b * 0xff);
-      data[k + 3] = 0xff;
+      for (var row = 0; row < thicknessSize; ++row) {
+        var filmThickness = this._rowThickness(row);
+        var x = 0, y = 0, z = 0;
+
+        for (var j = 0; j < numBands; ++j) {
+          var v = 0;
+
+          for (var l = 0; l < numLayers; ++l) {
+            if (layers[l].thickness === null) {
+              var o = j * stride + l * 22;
+              q[0] = cache[o + 4];
+              q[1] = cache[o + 5];
+              layerMatrix(q, cache.subarray(o, o + 4), filmThickness, waveLens[j], cache, o + 6);
+            }
+          }
+
+          for (var pol = 0; pol < 2; ++pol) {
+            // B, C = (product of the layer matrices) * (1, eta_substrate)
+            var m11Re = 1, m11Im = 0, m12Re = 0, m12Im = 0, m21Re = 0, m21Im = 0, m22Re = 1, m22Im = 0;
+
+            for (var l = 0; l < numLayers; ++l) {
+              var p = j * stride + l * 22 + 6 + pol * 8;
+              var aRe = cache[p], aIm = cache[p + 1], bRe = cache[p + 2], bIm = cache[p + 3];
+              var cRe = cache[p + 4], cIm = cache[p + 5], dRe = cache[p + 6], dIm = cache[p + 7];
+
+              var n11Re = m11Re * aRe - m11Im * aIm + m12Re * cRe - m12Im * cIm;
+              var n11Im = m11Re * aIm + m11Im * aRe + m12Re * cIm + m12Im * cRe;
+              var n12Re = m11Re * bRe - m11Im * bIm + m12Re * dRe - m12Im * dIm;
+              var n12Im = m11Re * bIm + m11Im * bRe + m12Re * dIm + m12Im * dRe;
+              var n21Re = m21Re * aRe - m21Im * aIm + m22Re * cRe - m22Im * cIm;
+              var n21Im = m21Re * aIm + m21Im * aRe + m22Re * cIm + m22Im * cRe;
+              var n22Re = m21Re * bRe - m21Im * bIm + m22Re * dRe - m22Im * dIm;
+              var n22Im = m21Re * bIm + m21Im * bRe + m22Re * dIm + m22Im * dRe;
+
+              m11Re = n11Re; m11Im = n11Im; m12Re = n12Re; m12Im = n12Im;
+              m21Re = n21Re; m21Im = n21Im; m22Re = n22Re; m22Im = n22Im;
+            }
+
+            var sRe = substrate[j * 4 + pol * 2], sIm = substrate[j * 4 + pol * 2 + 1];
+            var BRe = m11Re + m12Re * sRe - m12Im * sIm, BIm = m11Im + m12Re * sIm + m12Im * sRe;
+            var CRe = m21Re + m22Re * sRe - m22Im * sIm, CIm = m21Im + m22Re * sIm + m22Im * sRe;
+
+            // the incident medium is air, its admittance is cos(theta) for s and 1 / cos(theta) for p
+            var eta0 = pol === 0 ? cosThetaI : 1.0 / cosThetaI;
+            var numRe = eta0 * BRe - CRe, numIm = eta0 * BIm - CIm;
+            var denRe = eta0 * BRe + CRe, denIm = eta0 * BIm + CIm;
+
+            v += 0.5 * (numRe * numRe + numIm * numIm) / (denRe * denRe + denIm * denIm);
+          }
+
+          x += spectrum.weightsX[j] * v;
+          y += spectrum.weightsY[j] * v;
+          z += spectrum.weightsZ[j] * v;
+        }
+
+        this._writeTexel((row * size + i) << 2, x, y, z, spectrum);
+      }
     }
+  };
 
-    this.needsUpdate = true;
+  /**
+   * Stores the s and p admittances, N cos(theta) and N / cos(theta), given q = N cos(theta).
+   * @private
+   */
+  _layerAdmittances(index, q, out, o) {
+    var nRe = index[0], nIm = index[1];
+    // N^2 / (N cos(theta))
+    var nSqrRe = nRe * nRe - nIm * nIm, nSqrIm = 2 * nRe * nIm;
+    var qSqr = q[0] * q[0] + q[1] * q[1];
+
+    out[o] = q[0];
+    out[o + 1] = q[1];
+    out[o + 2] = (nSqrRe * q[0] + nSqrIm * q[1]) / qSqr;
+    out[o + 3] = (nSqrIm * q[0] - nSqrRe * q[1]) / qSqr;
   };
+
+  /**
+   * The complex refractive index N = n - ik of a material at the given wave length, stored as (Re N, Im N).
+   * @private
+   */
+  _complexIndex(refractiveIndex, waveLen, out) {
+    var index = ThinFilmFresnelMap.refractiveIndexAt(refractiveIndex, waveLen, this._index || (this._index = { n: 1, k: 0 }));
+    out[0] = index.n;
+    out[1] = -index.k;
+    return out;
+  };
+}
+
+/**
+ * Refractive indices of common coating and base materials. Dielectrics use published dispersion formulas,
+ * the metals are approximate n and k values after Johnson and Christy (1972, 1974).
+ */
+ThinFilmFresnelMap.materials = {
+  'air': 1.0,
+  'water': { type: 'cauchy', A: 1.3199, B: 0.006878, C: -0.0001132 },
+  'soap': { type: 'cauchy', A: 1.3250, B: 0.0031 },
+  // fused silica, Malitson (1965)
+  'SiO2': { type: 'sellmeier', B: [0.6961663, 0.4079426, 0.8974794], C: [0.0046791, 0.0135121, 97.934003] },
+  // magnesium fluoride, ordinary ray, Dodge (1984)
+  'MgF2': { type: 'sellmeier', B: [0.48755108, 0.39875031, 2.3120353], C: [0.0018822, 0.0089519, 566.13559] },
+  // rutile titanium dioxide, ordinary ray, DeVore (1951)
+  'TiO2': { type: 'sellmeier', A: 2.8731, B: [3.0399], C: [0.0803] },
+  // silicon nitride, Luke et al. (2015)
+  'Si3N4': { type: 'sellmeier', B: [3.0249, 40314], C: [0.0183171, 1537208] },
+  // crown glass, Schott N-BK7
+  'BK7': { type: 'sellmeier', B: [1.03961212, 0.231792344, 1.01046945], C: [0.00600069867, 0.0200179144, 103.560653] },
+  'gold': {
+    type: 'tabulated',
+    waveLengths: [400, 450, 500, 550, 600, 650, 700, 780],
+    n: [1.47, 1.38, 0.97, 0.43, 0.25, 0.17, 0.16, 0.15],
+    k: [1.95, 1.88, 1.87, 2.46, 2.98, 3.50, 3.95, 4.60]
+  },
+  'silver': {
+    type: 'tabulated',
+    waveLengths: [400, 450, 500, 550, 600, 650, 700, 780],
+    n: [0.05, 0.04, 0.05, 0.06, 0.06, 0.05, 0.04, 0.03],
+    k: [2.10, 2.65, 3.09, 3.60, 4.00, 4.40, 4.80, 5.30]
+  },
+  'copper': {
+    type: 'tabulated',
+    waveLengths: [400, 450, 500, 550, 600, 650, 700, 780],
+    n: [1.18, 1.17, 1.12, 0.94, 0.25, 0.21, 0.21, 0.24],
+    k: [2.21, 2.40, 2.60, 2.58, 3.40, 3.67, 4.20, 4.80]
+  },
+  'titanium': {
+    type: 'tabulated',
+    waveLengths: [400, 450, 500, 550, 600, 650, 700, 780],
+    n: [1.89, 2.11, 2.35, 2.54, 2.76, 2.90, 3.07, 3.25],
+    k: [2.61, 2.93, 3.16, 3.43, 3.48, 3.55, 3.64, 3.70]
+  },
+  'aluminium': {
+    type: 'tabulated',
+    waveLengths: [400, 450, 500, 550, 600, 650, 700, 780],
+    n: [0.49, 0.62, 0.77, 0.96, 1.20, 1.47, 1.83, 2.60],
+    k: [4.86, 5.47, 6.08, 6.69, 7.26, 7.79, 8.31, 8.60]
+  }
+};
+
+/**
+ * Common coatings, for use with applyPreset(). Each preset sets refractiveIndexFilm, refractiveIndexBase
+ * and optionally a layer stack.
+ */
+ThinFilmFresnelMap.presets = {
+  'default': { refractiveIndexFilm: 2, refractiveIndexBase: 3 },
+  'soap-bubble': { refractiveIndexFilm: 'soap', refractiveIndexBase: 'air' },
+  'oil-on-water': { refractiveIndexFilm: 1.47, refractiveIndexBase: 'water' },
+  'tio2-on-glass': { refractiveIndexFilm: 'TiO2', refractiveIndexBase: 'BK7' },
+  'anodized-titanium': { refractiveIndexFilm: 'TiO2', refractiveIndexBase: 'titanium' },
+  'coated-gold': { refractiveIndexFilm: 'MgF2', refractiveIndexBase: 'gold' },
+  'tempered-steel': { refractiveIndexFilm: 2.5, refractiveIndexBase: { type: 'cauchy', A: 2.9, k: 3.0 } },
+  'dichroic-filter': {
+    refractiveIndexFilm: 'TiO2',
+    refractiveIndexBase: 'BK7',
+    // a variable top layer over a fixed TiO2/SiO2 mirror
+    layers: [{ refractiveIndex: 'SiO2' }].concat(ThinFilmFresnelMap.quarterWaveStack('TiO2', 'SiO2', 4, 600))
+  },
+  'beetle-shell': {
+    refractiveIndexFilm: 1.56,
+    refractiveIndexBase: { type: 'cauchy', A: 1.68, k: 0.3 },
+    // alternating chitin and melanin rich layers over an absorbing melanin base
+    layers: [{ refractiveIndex: 1.56 }].concat(ThinFilmFresnelMap.quarterWaveStack(1.68, 1.56, 6, 520))
+  }
+};
+
+/**
+ * GLSL helper for sampling a ThinFilmFresnelMap. Expects the map's thicknessRange to be bound to the
+ * thinFilmThicknessRange uniform.
+ */
+ThinFilmFresnelMap.shaderChunk = `
+uniform vec3 thinFilmThicknessRange;
+
+float thinFilmThicknessCoord(float thickness) {
+  float t = clamp((thickness - thinFilmThicknessRange.x) / (thinFilmThicknessRange.y - thinFilmThicknessRange.x), 0.0, 1.0);
+  return (0.5 + t * (thinFilmThicknessRange.z - 1.0)) / thinFilmThicknessRange.z;
 }
+`;